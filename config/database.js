@@ -16,12 +16,19 @@ const dbConfig = {
   // Additional options for better compatibility with standalone MySQL and Render
   multipleStatements: false,
   dateStrings: false,
-  namedPlaceholders: true
+  namedPlaceholders: true,
+  // Datetimes are stored in UTC; read and write JS Dates as UTC
+  timezone: 'Z'
 };
 
 // Create connection pool
 const pool = mysql.createPool(dbConfig);
 
+// Run every session in UTC so NOW() and CURRENT_DATE match stored times
+pool.pool.on('connection', (connection) => {
+  connection.query("SET time_zone = '+00:00'");
+});
+
 // Test connection (silent - errors will be caught when pool is actually used)
 // This prevents duplicate connection messages in server.js
 
@@ -0,0 +1,4 @@
+-- Minimum connection time per airport, used by the connecting itinerary search.
+-- NULL means the DEFAULT_MIN_CONNECTION_MINUTES setting applies.
+ALTER TABLE airports
+  ADD COLUMN min_connection_minutes INT NULL AFTER country;
@@ -0,0 +1,4 @@
+-- Seat map layout per aircraft (cabins, exit rows, blocked seats).
+-- NULL means a default all-economy layout is generated from capacity.
+ALTER TABLE aircraft
+  ADD COLUMN seat_map JSON NULL AFTER capacity;
@@ -0,0 +1,8 @@
+-- Seat counts per cabin class. capacity stays as the sum of the three.
+ALTER TABLE aircraft
+  ADD COLUMN economy_seats INT NOT NULL DEFAULT 0 AFTER capacity,
+  ADD COLUMN business_seats INT NOT NULL DEFAULT 0 AFTER economy_seats,
+  ADD COLUMN first_class_seats INT NOT NULL DEFAULT 0 AFTER business_seats;
+
+-- Existing aircraft keep their full capacity as economy until reconfigured
+UPDATE aircraft SET economy_seats = capacity;
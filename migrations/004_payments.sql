@@ -0,0 +1,27 @@
+-- Payment intents opened with the payment provider for each booking
+CREATE TABLE IF NOT EXISTS payments (
+  payment_id INT AUTO_INCREMENT PRIMARY KEY,
+  booking_id INT NOT NULL,
+  provider VARCHAR(50) NOT NULL,
+  provider_intent_id VARCHAR(100) NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  currency CHAR(3) NOT NULL DEFAULT 'USD',
+  payment_method VARCHAR(50) NOT NULL,
+  status ENUM('pending', 'succeeded', 'failed', 'refunded') NOT NULL DEFAULT 'pending',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_payments_intent (provider_intent_id),
+  KEY idx_payments_booking (booking_id),
+  CONSTRAINT fk_payments_booking FOREIGN KEY (booking_id) REFERENCES bookings (booking_id)
+);
+
+-- Webhook events already handled, so repeated deliveries are ignored
+CREATE TABLE IF NOT EXISTS payment_events (
+  payment_event_id INT AUTO_INCREMENT PRIMARY KEY,
+  provider VARCHAR(50) NOT NULL,
+  provider_event_id VARCHAR(100) NOT NULL,
+  event_type VARCHAR(100) NOT NULL,
+  provider_intent_id VARCHAR(100) NULL,
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_payment_events_event (provider, provider_event_id)
+);
@@ -0,0 +1,10 @@
+-- When a pending (unpaid) booking releases its seats
+ALTER TABLE bookings
+  ADD COLUMN hold_expires_at DATETIME NULL AFTER payment_method,
+  ADD KEY idx_bookings_hold_expiry (status, hold_expires_at);
+
+-- Bookings already pending get the default hold (SEAT_HOLD_MINUTES, 15)
+-- from when they were made, so old unpaid bookings release their seats
+UPDATE bookings
+SET hold_expires_at = DATE_ADD(created_at, INTERVAL 15 MINUTE)
+WHERE status = 'pending' AND hold_expires_at IS NULL;
@@ -0,0 +1,21 @@
+-- Refund and change rules per cabin class. Classes without a row use the
+-- defaults in services/fareRules.js.
+CREATE TABLE IF NOT EXISTS fare_rules (
+  fare_rule_id INT AUTO_INCREMENT PRIMARY KEY,
+  class ENUM('economy', 'business', 'first') NOT NULL,
+  refundable TINYINT(1) NOT NULL DEFAULT 1,
+  change_fee DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  cancellation_fees JSON NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_fare_rules_class (class)
+);
+
+-- Outcome of a cancellation
+ALTER TABLE bookings
+  ADD COLUMN cancellation_fee DECIMAL(10, 2) NULL AFTER total_amount,
+  ADD COLUMN refund_amount DECIMAL(10, 2) NULL AFTER cancellation_fee;
+
+-- Running total refunded against a payment
+ALTER TABLE payments
+  ADD COLUMN refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER amount;
@@ -0,0 +1,17 @@
+-- History of flight changes made on a booking
+CREATE TABLE IF NOT EXISTS booking_changes (
+  change_id INT AUTO_INCREMENT PRIMARY KEY,
+  booking_id INT NOT NULL,
+  from_flight_id INT NOT NULL,
+  to_flight_id INT NOT NULL,
+  fare_difference DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  change_fee DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  amount_charged DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  amount_refunded DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  changed_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_booking_changes_booking (booking_id),
+  CONSTRAINT fk_booking_changes_booking FOREIGN KEY (booking_id) REFERENCES bookings (booking_id),
+  CONSTRAINT fk_booking_changes_from FOREIGN KEY (from_flight_id) REFERENCES flights (flight_id),
+  CONSTRAINT fk_booking_changes_to FOREIGN KEY (to_flight_id) REFERENCES flights (flight_id)
+);
@@ -0,0 +1,24 @@
+-- Per-passenger taxes levied by the departure or arrival country
+-- (matched against airports.country)
+CREATE TABLE IF NOT EXISTS tax_rates (
+  tax_rate_id INT AUTO_INCREMENT PRIMARY KEY,
+  country VARCHAR(100) NOT NULL,
+  code VARCHAR(10) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  applies_to ENUM('departure', 'arrival') NOT NULL,
+  amount_type ENUM('fixed', 'percent') NOT NULL DEFAULT 'fixed',
+  amount DECIMAL(10, 2) NOT NULL,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_tax_rates_country (country, applies_to)
+);
+
+-- Itemized price of a booking. total_amount stays the amount charged;
+-- price_breakdown holds the individual fare, tax and fee lines.
+ALTER TABLE bookings
+  ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD' AFTER total_amount,
+  ADD COLUMN base_fare_amount DECIMAL(10, 2) NULL AFTER currency,
+  ADD COLUMN tax_amount DECIMAL(10, 2) NULL AFTER base_fare_amount,
+  ADD COLUMN fee_amount DECIMAL(10, 2) NULL AFTER tax_amount,
+  ADD COLUMN price_breakdown JSON NULL AFTER fee_amount;
@@ -0,0 +1,8 @@
+-- Exchange rates for display and reporting: units of `currency` per one
+-- unit of the selling currency (DEFAULT_CURRENCY, which is not stored here)
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  currency CHAR(3) PRIMARY KEY,
+  rate DECIMAL(18, 8) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
@@ -0,0 +1,4 @@
+-- Passenger type on the travel date. Lap infants hold no seat and are left
+-- out of seat availability counts.
+ALTER TABLE booking_passengers
+  ADD COLUMN passenger_type ENUM('adult', 'child', 'infant') NOT NULL DEFAULT 'adult' AFTER passenger_id;
@@ -0,0 +1,52 @@
+-- Ancillary catalog: extras sold on top of the seat, with a default price
+CREATE TABLE IF NOT EXISTS ancillaries (
+  ancillary_id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(20) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  category ENUM('baggage', 'meal', 'priority_boarding') NOT NULL,
+  description VARCHAR(255) NULL,
+  price DECIMAL(10, 2) NOT NULL,
+  max_per_passenger INT NOT NULL DEFAULT 1,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_ancillaries_code (code)
+);
+
+-- Price overrides for a route (from/to both set), a class, or both
+CREATE TABLE IF NOT EXISTS ancillary_prices (
+  ancillary_price_id INT AUTO_INCREMENT PRIMARY KEY,
+  ancillary_id INT NOT NULL,
+  from_airport_code VARCHAR(3) NULL,
+  to_airport_code VARCHAR(3) NULL,
+  class ENUM('economy', 'business', 'first') NULL,
+  price DECIMAL(10, 2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_ancillary_prices_ancillary (ancillary_id),
+  CONSTRAINT fk_ancillary_prices_ancillary FOREIGN KEY (ancillary_id) REFERENCES ancillaries (ancillary_id) ON DELETE CASCADE
+);
+
+-- Items attached to a booking, per passenger. The passenger link is
+-- cleared if they are removed from the booking.
+CREATE TABLE IF NOT EXISTS booking_ancillaries (
+  booking_ancillary_id INT AUTO_INCREMENT PRIMARY KEY,
+  booking_id INT NOT NULL,
+  booking_passenger_id INT NULL,
+  ancillary_id INT NOT NULL,
+  quantity INT NOT NULL DEFAULT 1,
+  unit_price DECIMAL(10, 2) NOT NULL,
+  total_price DECIMAL(10, 2) NOT NULL,
+  currency CHAR(3) NOT NULL DEFAULT 'USD',
+  status ENUM('active', 'cancelled') NOT NULL DEFAULT 'active',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_booking_ancillaries_booking (booking_id),
+  CONSTRAINT fk_booking_ancillaries_booking FOREIGN KEY (booking_id) REFERENCES bookings (booking_id),
+  CONSTRAINT fk_booking_ancillaries_passenger FOREIGN KEY (booking_passenger_id)
+    REFERENCES booking_passengers (booking_passenger_id) ON DELETE SET NULL,
+  CONSTRAINT fk_booking_ancillaries_ancillary FOREIGN KEY (ancillary_id) REFERENCES ancillaries (ancillary_id)
+);
+
+-- Sum of active ancillaries on a booking; included in total_amount
+ALTER TABLE bookings
+  ADD COLUMN ancillary_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER fee_amount;
@@ -0,0 +1,45 @@
+-- Promo codes. Percentage discounts apply to each passenger's base fare;
+-- fixed discounts come off the booking's base fare once. Route and class
+-- restrictions are optional; NULL limits mean unlimited.
+CREATE TABLE IF NOT EXISTS promo_codes (
+  promo_code_id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(30) NOT NULL,
+  campaign VARCHAR(100) NULL,
+  description VARCHAR(255) NULL,
+  discount_type ENUM('percent', 'fixed') NOT NULL,
+  discount_value DECIMAL(10, 2) NOT NULL,
+  valid_from DATETIME NULL,
+  valid_until DATETIME NULL,
+  max_uses INT NULL,
+  max_uses_per_user INT NULL,
+  used_count INT NOT NULL DEFAULT 0,
+  from_airport_code VARCHAR(3) NULL,
+  to_airport_code VARCHAR(3) NULL,
+  class ENUM('economy', 'business', 'first') NULL,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_promo_codes_code (code)
+);
+
+-- One row per booking that used a code. Redemptions on bookings cancelled
+-- before payment are reversed and stop counting toward the limits.
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+  redemption_id INT AUTO_INCREMENT PRIMARY KEY,
+  promo_code_id INT NOT NULL,
+  booking_id INT NOT NULL,
+  user_id INT NOT NULL,
+  discount_amount DECIMAL(10, 2) NOT NULL,
+  currency CHAR(3) NOT NULL DEFAULT 'USD',
+  status ENUM('active', 'reversed') NOT NULL DEFAULT 'active',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_promo_redemptions_booking (booking_id),
+  KEY idx_promo_redemptions_user (promo_code_id, user_id),
+  CONSTRAINT fk_promo_redemptions_code FOREIGN KEY (promo_code_id) REFERENCES promo_codes (promo_code_id),
+  CONSTRAINT fk_promo_redemptions_booking FOREIGN KEY (booking_id) REFERENCES bookings (booking_id)
+);
+
+ALTER TABLE bookings
+  ADD COLUMN promo_code_id INT NULL AFTER ancillary_amount,
+  ADD COLUMN discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER promo_code_id;
@@ -0,0 +1,36 @@
+-- Frequent flyer accounts, one per user, opened on first use. The tier is
+-- recalculated from qualifying points earned over a rolling window.
+CREATE TABLE IF NOT EXISTS loyalty_accounts (
+  user_id INT PRIMARY KEY,
+  loyalty_number VARCHAR(20) NOT NULL,
+  points_balance INT NOT NULL DEFAULT 0,
+  tier ENUM('member', 'silver', 'gold') NOT NULL DEFAULT 'member',
+  tier_updated_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_loyalty_accounts_number (loyalty_number),
+  CONSTRAINT fk_loyalty_accounts_user FOREIGN KEY (user_id) REFERENCES users (user_id)
+);
+
+-- Points statement. Accruals and their reversals carry qualifying points
+-- dated by the flight (activity_date); redemptions and refunds of redeemed
+-- points only move the balance.
+CREATE TABLE IF NOT EXISTS loyalty_transactions (
+  transaction_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  booking_id INT NULL,
+  type ENUM('accrual', 'reversal', 'redemption', 'refund', 'adjustment') NOT NULL,
+  points INT NOT NULL,
+  qualifying_points INT NOT NULL DEFAULT 0,
+  activity_date DATETIME NOT NULL,
+  description VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_loyalty_transactions_user (user_id, activity_date),
+  KEY idx_loyalty_transactions_booking (booking_id),
+  CONSTRAINT fk_loyalty_transactions_user FOREIGN KEY (user_id) REFERENCES users (user_id),
+  CONSTRAINT fk_loyalty_transactions_booking FOREIGN KEY (booking_id) REFERENCES bookings (booking_id)
+);
+
+-- Points paid towards a booking (also recorded as a 'loyalty' payment)
+ALTER TABLE bookings
+  ADD COLUMN points_redeemed INT NOT NULL DEFAULT 0 AFTER discount_amount;
@@ -0,0 +1,7 @@
+-- Airport location: coordinates (decimal degrees) for route distances and
+-- the IANA timezone name (e.g. 'Europe/London') for local times. Airports
+-- without coordinates have no distance.
+ALTER TABLE airports
+  ADD COLUMN latitude DECIMAL(9, 6) NULL AFTER country,
+  ADD COLUMN longitude DECIMAL(9, 6) NULL AFTER latitude,
+  ADD COLUMN timezone VARCHAR(64) NULL AFTER longitude;
@@ -0,0 +1,4 @@
+-- Deactivated airports stay on record for existing flights and reports but
+-- can't be used for new flights, and their flights can't be booked.
+ALTER TABLE airports
+  ADD COLUMN active TINYINT(1) NOT NULL DEFAULT 1 AFTER timezone;
@@ -0,0 +1,52 @@
+-- Stored times move to UTC. Until now flight times were entered as local
+-- wall-clock times at the departure (and arrival) airport; convert them
+-- using each airport's timezone.
+--
+-- Before running: every airport with flights needs airports.timezone set
+-- (014 added it empty; use 'UTC' for airports already stored in UTC), and
+-- named zones need MySQL's timezone tables (mysql_tzinfo_to_sql). With the
+-- default strict SQL mode a flight time that can't be converted stops the
+-- migration here with a "cannot be null" error, before anything is changed.
+CREATE TEMPORARY TABLE flight_times_utc (
+  flight_id INT PRIMARY KEY,
+  departure_utc DATETIME NOT NULL,
+  arrival_utc DATETIME NOT NULL
+);
+
+INSERT INTO flight_times_utc (flight_id, departure_utc, arrival_utc)
+SELECT
+  f.flight_id,
+  CONVERT_TZ(f.departure_datetime, dep.timezone, '+00:00'),
+  CONVERT_TZ(f.arrival_datetime, arr.timezone, '+00:00')
+FROM flights f
+INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
+INNER JOIN airports arr ON f.to_airport_code = arr.airport_code;
+
+-- Points are dated by the flight they were earned on
+UPDATE loyalty_transactions lt
+INNER JOIN bookings b ON lt.booking_id = b.booking_id
+INNER JOIN flights f ON b.flight_id = f.flight_id
+INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
+SET lt.activity_date = CONVERT_TZ(lt.activity_date, dep.timezone, '+00:00')
+WHERE lt.type IN ('accrual', 'reversal');
+
+UPDATE flights f
+INNER JOIN flight_times_utc utc ON f.flight_id = utc.flight_id
+SET f.departure_datetime = utc.departure_utc,
+    f.arrival_datetime = utc.arrival_utc;
+
+DROP TEMPORARY TABLE flight_times_utc;
+
+-- Everything else was written in the database server's own timezone, which
+-- sessions used before config/database.js switched them to UTC
+UPDATE bookings
+SET hold_expires_at = CONVERT_TZ(hold_expires_at, @@global.time_zone, '+00:00')
+WHERE hold_expires_at IS NOT NULL;
+
+UPDATE promo_codes
+SET valid_from = CONVERT_TZ(valid_from, @@global.time_zone, '+00:00'),
+    valid_until = CONVERT_TZ(valid_until, @@global.time_zone, '+00:00');
+
+UPDATE loyalty_transactions
+SET activity_date = CONVERT_TZ(activity_date, @@global.time_zone, '+00:00')
+WHERE type NOT IN ('accrual', 'reversal');
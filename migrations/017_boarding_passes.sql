@@ -0,0 +1,17 @@
+-- Boarding passes issued at check-in, one per passenger. The sequence
+-- number counts passengers checked in on the flight; seat, gate and
+-- boarding time are read from the booking and check-in when a pass is shown.
+CREATE TABLE IF NOT EXISTS boarding_passes (
+  boarding_pass_id INT AUTO_INCREMENT PRIMARY KEY,
+  check_in_id INT NOT NULL,
+  booking_passenger_id INT NOT NULL,
+  flight_id INT NOT NULL,
+  sequence_number INT NOT NULL,
+  issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_boarding_passes_passenger (booking_passenger_id),
+  UNIQUE KEY uq_boarding_passes_sequence (flight_id, sequence_number),
+  CONSTRAINT fk_boarding_passes_check_in FOREIGN KEY (check_in_id) REFERENCES check_ins (check_in_id) ON DELETE CASCADE,
+  CONSTRAINT fk_boarding_passes_passenger FOREIGN KEY (booking_passenger_id)
+    REFERENCES booking_passengers (booking_passenger_id) ON DELETE CASCADE,
+  CONSTRAINT fk_boarding_passes_flight FOREIGN KEY (flight_id) REFERENCES flights (flight_id)
+);
@@ -0,0 +1,12 @@
+-- Check-in status per passenger, so part of a party can check in (or undo
+-- their check-in) on its own. The booking's check_ins row keeps the gate and
+-- boarding time and exists while anyone on the booking is checked in.
+ALTER TABLE booking_passengers
+  ADD COLUMN check_in_status ENUM('not_checked_in', 'checked_in') NOT NULL DEFAULT 'not_checked_in' AFTER seat_number,
+  ADD COLUMN checked_in_at DATETIME NULL AFTER check_in_status;
+
+-- Bookings checked in as a whole before now
+UPDATE booking_passengers bp
+INNER JOIN check_ins ci ON bp.booking_id = ci.booking_id
+SET bp.check_in_status = 'checked_in', bp.checked_in_at = ci.check_in_datetime
+WHERE ci.status = 'completed';
@@ -0,0 +1,6 @@
+-- Passport details captured at check-in for flights between countries
+-- (APIS). Issuing country is the ICAO / ISO 3166-1 alpha-3 code printed on
+-- the passport.
+ALTER TABLE passengers
+  ADD COLUMN passport_issuing_country CHAR(3) NULL AFTER passport_number,
+  ADD COLUMN passport_expiry_date DATE NULL AFTER passport_issuing_country;
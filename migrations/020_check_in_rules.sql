@@ -0,0 +1,17 @@
+-- Check-in window and boarding time per departure airport, or per route
+-- when to_airport_code is set. The route rule wins over the airport rule;
+-- flights with neither use the defaults in services/checkIn.js. Times are
+-- minutes before departure.
+CREATE TABLE IF NOT EXISTS check_in_rules (
+  check_in_rule_id INT AUTO_INCREMENT PRIMARY KEY,
+  from_airport_code VARCHAR(3) NOT NULL,
+  to_airport_code VARCHAR(3) NULL,
+  opens_minutes_before INT NOT NULL,
+  closes_minutes_before INT NOT NULL,
+  boarding_minutes_before INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_check_in_rules_route (from_airport_code, to_airport_code),
+  CONSTRAINT fk_check_in_rules_from FOREIGN KEY (from_airport_code) REFERENCES airports (airport_code),
+  CONSTRAINT fk_check_in_rules_to FOREIGN KEY (to_airport_code) REFERENCES airports (airport_code)
+);
@@ -0,0 +1,15 @@
+-- Refunds owed through the payment provider. They are recorded in the same
+-- transaction as the cancellation or change behind them and sent to the
+-- provider once it has committed; failed refunds stay here for follow-up.
+CREATE TABLE IF NOT EXISTS payment_refunds (
+  refund_id INT AUTO_INCREMENT PRIMARY KEY,
+  payment_id INT NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  status ENUM('pending', 'processing', 'succeeded', 'failed') NOT NULL DEFAULT 'pending',
+  provider_refund_id VARCHAR(100) NULL,
+  failure_reason VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_payment_refunds_status (status),
+  CONSTRAINT fk_payment_refunds_payment FOREIGN KEY (payment_id) REFERENCES payments (payment_id)
+);
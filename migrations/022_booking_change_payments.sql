@@ -0,0 +1,11 @@
+-- Changes are paid for after they are committed. Each change keeps what the
+-- booking looked like before it, so a payment that fails (possibly later,
+-- through the provider webhook) can put the booking back.
+ALTER TABLE booking_changes
+  ADD COLUMN previous_booking JSON NULL AFTER amount_refunded,
+  ADD COLUMN reverted_at TIMESTAMP NULL AFTER changed_by;
+
+-- The change a payment was taken for
+ALTER TABLE payments
+  ADD COLUMN booking_change_id INT NULL AFTER booking_id,
+  ADD CONSTRAINT fk_payments_booking_change FOREIGN KEY (booking_change_id) REFERENCES booking_changes (change_id);
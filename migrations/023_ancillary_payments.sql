@@ -0,0 +1,6 @@
+-- Extras added to a paid booking are charged on their own payment. Linking
+-- the items to it lets a payment that fails (possibly later, through the
+-- provider webhook) take them back off the booking.
+ALTER TABLE booking_ancillaries
+  ADD COLUMN payment_id INT NULL AFTER booking_passenger_id,
+  ADD CONSTRAINT fk_booking_ancillaries_payment FOREIGN KEY (payment_id) REFERENCES payments (payment_id);
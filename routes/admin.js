@@ -2,6 +2,32 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { query, queryOne } = require('../config/database');
 const { authenticate, requireAdmin } = require('../middleware/auth');
+const { CABIN_CLASSES, validateSeatMap } = require('../services/seatMap');
+const {
+  CLASS_CAPACITY_COLUMNS,
+  getClassCapacity,
+  classCapacityFromSeatMap,
+  getSeatInventory,
+  getSeatInventories
+} = require('../services/availability');
+const { SEAT_HOLD_MINUTES } = require('../services/holds');
+const { getFareRule, validateCancellationFees } = require('../services/fareRules');
+const { CLASS_PRICE_MULTIPLIERS, priceFromInventory } = require('../services/pricing');
+const { DEFAULT_CURRENCY } = require('../services/payments');
+const { REPORTING_CURRENCY, CURRENCY_CODE_PATTERN, normalizeCurrencyCode } = require('../services/currency');
+const { ANCILLARY_CATEGORIES, getBookingAncillaries } = require('../services/ancillaries');
+const { PROMO_DISCOUNT_TYPES, normalizePromoCode, releasePromoRedemptions } = require('../services/promoCodes');
+const { releasePointsPayments, accrueBookingPoints, reverseBookingPoints } = require('../services/loyalty');
+const {
+  IATA_CODE_PATTERN,
+  normalizeAirportCode,
+  isValidTimezone,
+  validateFlightAirports,
+  getAirportTimezones
+} = require('../services/airports');
+const { parseFlightTime, attachLocalTimes } = require('../services/timezones');
+const { getApisManifest, manifestToCsv } = require('../services/travelDocuments');
+const { DEFAULT_CHECK_IN_RULES, validateCheckInRules } = require('../services/checkIn');
 
 const router = express.Router();
 
@@ -102,12 +128,17 @@ router.get('/flights', async (req, res) => {
         f.updated_at,
         a.model as aircraft_model,
         a.capacity,
+        a.economy_seats,
+        a.business_seats,
+        a.first_class_seats,
         dep.airport_name as from_name,
         dep.city as from_city,
         dep.country as from_country,
+        dep.timezone as from_timezone,
         arr.airport_name as to_name,
         arr.city as to_city,
-        arr.country as to_country
+        arr.country as to_country,
+        arr.timezone as to_timezone
        FROM flights f
        INNER JOIN aircraft a ON f.aircraft_id = a.aircraft_id
        INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
@@ -118,6 +149,14 @@ router.get('/flights', async (req, res) => {
       params
     );
 
+    // Current selling fares, from the same pricing used for search and
+    // booking, with the seat counts for the whole page loaded at once
+    const inventories = await getSeatInventories(require('../config/database').pool, flights);
+    for (const flight of flights) {
+      flight.current_fares = priceFromInventory(flight, inventories[flight.flight_id]);
+      attachLocalTimes(flight);
+    }
+
     console.log(`Returning ${flights.length} flights (page ${page}, total: ${total})`);
 
     res.json({
@@ -168,6 +207,15 @@ router.post('/flights', async (req, res) => {
       });
     }
 
+    // Both airports must exist and be in service
+    const airportError = await validateFlightAirports(require('../config/database').pool, from_airport_code, to_airport_code);
+    if (airportError) {
+      return res.status(400).json({
+        success: false,
+        message: airportError
+      });
+    }
+
     // Check if flight number already exists
     const existing = await queryOne(
       'SELECT flight_id FROM flights WHERE flight_number = ?',
@@ -181,11 +229,13 @@ router.post('/flights', async (req, res) => {
       });
     }
 
-    // Validate dates
-    const departure = new Date(departure_datetime);
-    const arrival = new Date(arrival_datetime);
+    // Times without an offset are local to the departure and arrival
+    // airports; they are stored in UTC
+    const timezones = await getAirportTimezones(require('../config/database').pool, [from_airport_code, to_airport_code]);
+    const departure = parseFlightTime(departure_datetime, timezones[normalizeAirportCode(from_airport_code)]);
+    const arrival = parseFlightTime(arrival_datetime, timezones[normalizeAirportCode(to_airport_code)]);
 
-    if (isNaN(departure.getTime()) || isNaN(arrival.getTime())) {
+    if (!departure || !arrival) {
       return res.status(400).json({
         success: false,
         message: 'Invalid date format'
@@ -199,9 +249,9 @@ router.post('/flights', async (req, res) => {
       });
     }
 
-    // Calculate prices if not provided
-    const calculatedBusinessPrice = business_price || (parseFloat(base_price) * 1.5);
-    const calculatedFirstClassPrice = first_class_price || (parseFloat(base_price) * 2);
+    // Calculate base fares if not provided
+    const calculatedBusinessPrice = business_price || (parseFloat(base_price) * CLASS_PRICE_MULTIPLIERS.business);
+    const calculatedFirstClassPrice = first_class_price || (parseFloat(base_price) * CLASS_PRICE_MULTIPLIERS.first);
 
     // Insert flight
     const [result] = await require('../config/database').pool.execute(
@@ -213,10 +263,10 @@ router.post('/flights', async (req, res) => {
       [
         flight_number,
         parseInt(aircraft_id),
-        from_airport_code,
-        to_airport_code,
-        departure_datetime,
-        arrival_datetime,
+        normalizeAirportCode(from_airport_code),
+        normalizeAirportCode(to_airport_code),
+        departure,
+        arrival,
         parseFloat(base_price),
         parseFloat(calculatedBusinessPrice),
         parseFloat(calculatedFirstClassPrice),
@@ -251,7 +301,11 @@ router.put('/flights/:id', async (req, res) => {
     }
 
     // Check if flight exists
-    const flight = await queryOne('SELECT flight_id FROM flights WHERE flight_id = ?', [flightId]);
+    const flight = await queryOne(
+      `SELECT flight_id, from_airport_code, to_airport_code, departure_datetime, arrival_datetime
+       FROM flights WHERE flight_id = ?`,
+      [flightId]
+    );
     if (!flight) {
       return res.status(404).json({
         success: false,
@@ -272,6 +326,47 @@ router.put('/flights/:id', async (req, res) => {
       status
     } = req.body;
 
+    // A flight can only be moved to airports that are in service
+    if (from_airport_code || to_airport_code) {
+      const airportError = await validateFlightAirports(
+        require('../config/database').pool,
+        from_airport_code || flight.from_airport_code,
+        to_airport_code || flight.to_airport_code
+      );
+      if (airportError) {
+        return res.status(400).json({
+          success: false,
+          message: airportError
+        });
+      }
+    }
+
+    // New times without an offset are local to the flight's airports
+    let departure = null;
+    let arrival = null;
+    if (departure_datetime || arrival_datetime) {
+      const fromCode = normalizeAirportCode(from_airport_code || flight.from_airport_code);
+      const toCode = normalizeAirportCode(to_airport_code || flight.to_airport_code);
+      const timezones = await getAirportTimezones(require('../config/database').pool, [fromCode, toCode]);
+
+      departure = departure_datetime ? parseFlightTime(departure_datetime, timezones[fromCode]) : new Date(flight.departure_datetime);
+      arrival = arrival_datetime ? parseFlightTime(arrival_datetime, timezones[toCode]) : new Date(flight.arrival_datetime);
+
+      if (!departure || !arrival) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date format'
+        });
+      }
+
+      if (arrival <= departure) {
+        return res.status(400).json({
+          success: false,
+          message: 'Arrival time must be after departure time'
+        });
+      }
+    }
+
     // Build update query dynamically
     const updates = [];
     const params = [];
@@ -299,22 +394,22 @@ router.put('/flights/:id', async (req, res) => {
 
     if (from_airport_code) {
       updates.push('from_airport_code = ?');
-      params.push(from_airport_code);
+      params.push(normalizeAirportCode(from_airport_code));
     }
 
     if (to_airport_code) {
       updates.push('to_airport_code = ?');
-      params.push(to_airport_code);
+      params.push(normalizeAirportCode(to_airport_code));
     }
 
     if (departure_datetime) {
       updates.push('departure_datetime = ?');
-      params.push(departure_datetime);
+      params.push(departure);
     }
 
     if (arrival_datetime) {
       updates.push('arrival_datetime = ?');
-      params.push(arrival_datetime);
+      params.push(arrival);
     }
 
     if (base_price !== undefined && base_price !== null) {
@@ -344,18 +439,6 @@ router.put('/flights/:id', async (req, res) => {
       });
     }
 
-    // Validate dates if both are being updated
-    if (departure_datetime && arrival_datetime) {
-      const dep = new Date(departure_datetime);
-      const arr = new Date(arrival_datetime);
-      if (arr <= dep) {
-        return res.status(400).json({
-          success: false,
-          message: 'Arrival time must be after departure time'
-        });
-      }
-    }
-
     params.push(flightId);
 
     await query(
@@ -427,6 +510,50 @@ router.delete('/flights/:id', async (req, res) => {
   }
 });
 
+// APIS manifest: checked-in passengers with their travel documents.
+// ?format=csv downloads it as CSV.
+router.get('/flights/:id/apis-manifest', async (req, res) => {
+  try {
+    const flightId = parseInt(req.params.id);
+
+    if (isNaN(flightId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid flight ID'
+      });
+    }
+
+    const manifest = await getApisManifest(require('../config/database').pool, flightId);
+    if (!manifest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flight not found'
+      });
+    }
+
+    if (req.query.format === 'csv') {
+      const departureDate = (manifest.flight.departure_local || '').slice(0, 10);
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="apis-${manifest.flight.flight_number}-${departureDate}.csv"`);
+      return res.send(manifestToCsv(manifest));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...manifest,
+        incomplete: manifest.passengers.filter(passenger => passenger.problems.length > 0).length
+      }
+    });
+  } catch (error) {
+    console.error('APIS manifest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build APIS manifest: ' + error.message
+    });
+  }
+});
+
 // ========== BOOKINGS MANAGEMENT ==========
 
 // Get single booking (admin)
@@ -482,6 +609,7 @@ router.get('/bookings/:id', async (req, res) => {
         p.date_of_birth,
         p.passport_number,
         p.nationality,
+        bp.passenger_type,
         bp.seat_number
        FROM booking_passengers bp
        INNER JOIN passengers p ON bp.passenger_id = p.passenger_id
@@ -490,6 +618,7 @@ router.get('/bookings/:id', async (req, res) => {
     );
 
     booking.passengers = passengers || [];
+    booking.ancillaries = await getBookingAncillaries(require('../config/database').pool, bookingId);
 
     res.json({
       success: true,
@@ -600,7 +729,7 @@ router.put('/bookings/:id/status', [
     }
 
     // Check if booking exists
-    const booking = await queryOne('SELECT booking_id FROM bookings WHERE booking_id = ?', [bookingId]);
+    const booking = await queryOne('SELECT booking_id, status FROM bookings WHERE booking_id = ?', [bookingId]);
     if (!booking) {
       return res.status(404).json({
         success: false,
@@ -611,6 +740,14 @@ router.put('/bookings/:id/status', [
     const updates = ['status = ?'];
     const params = [status];
 
+    // Pending bookings get a fresh seat hold; any other status clears it
+    if (status === 'pending') {
+      updates.push('hold_expires_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)');
+      params.push(SEAT_HOLD_MINUTES);
+    } else {
+      updates.push('hold_expires_at = NULL');
+    }
+
     if (payment_status) {
       updates.push('payment_status = ?');
       params.push(payment_status);
@@ -623,6 +760,22 @@ router.put('/bookings/:id/status', [
       params
     );
 
+    const { pool } = require('../config/database');
+
+    // Cancelling an unpaid booking gives back its promo code use and any
+    // points paid
+    if (status === 'cancelled') {
+      await releasePromoRedemptions(pool, bookingId);
+      await releasePointsPayments(pool, bookingId);
+    }
+
+    // Loyalty points follow the completed status
+    if (status === 'completed') {
+      await accrueBookingPoints(pool, bookingId);
+    } else if (booking.status === 'completed') {
+      await reverseBookingPoints(pool, bookingId);
+    }
+
     res.json({
       success: true,
       message: 'Booking status updated successfully'
@@ -636,6 +789,47 @@ router.put('/bookings/:id/status', [
   }
 });
 
+// Get active seat holds (pending bookings whose hold has not expired)
+router.get('/holds', async (req, res) => {
+  try {
+    const holds = await query(
+      `SELECT 
+        b.booking_id,
+        b.booking_reference,
+        b.user_id,
+        b.flight_id,
+        b.number_of_passengers,
+        b.class,
+        b.total_amount,
+        b.created_at,
+        b.hold_expires_at,
+        TIMESTAMPDIFF(SECOND, NOW(), b.hold_expires_at) as seconds_remaining,
+        u.email as user_email,
+        f.flight_number,
+        f.departure_datetime
+       FROM bookings b
+       INNER JOIN users u ON b.user_id = u.user_id
+       INNER JOIN flights f ON b.flight_id = f.flight_id
+       WHERE b.status = 'pending' AND b.hold_expires_at > NOW()
+       ORDER BY b.hold_expires_at ASC`
+    );
+
+    res.json({
+      success: true,
+      data: {
+        holds: holds || [],
+        hold_minutes: SEAT_HOLD_MINUTES
+      }
+    });
+  } catch (error) {
+    console.error('Get holds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get seat holds: ' + error.message
+    });
+  }
+});
+
 // ========== USERS MANAGEMENT ==========
 
 // Get all users
@@ -741,6 +935,37 @@ router.put('/users/:id/status', [
 
 // ========== AIRCRAFT MANAGEMENT ==========
 
+// Work out per-class seat counts for an aircraft: explicit counts win, then
+// counts taken from the seat map, then the whole capacity as economy.
+// `current` holds the existing counts when updating an aircraft.
+function resolveClassSeats({ capacity, counts, seatMap, current = null }) {
+  const hasExplicitCounts = Object.values(counts).some(value => value !== undefined && value !== null);
+  let seats;
+
+  if (hasExplicitCounts) {
+    seats = {};
+    for (const flightClass of Object.keys(CLASS_CAPACITY_COLUMNS)) {
+      const value = counts[flightClass];
+      seats[flightClass] = value !== undefined && value !== null
+        ? parseInt(value)
+        : (current ? current[flightClass] : 0);
+    }
+  } else if (seatMap) {
+    seats = classCapacityFromSeatMap(seatMap);
+  } else if (current && (current.business > 0 || current.first > 0)) {
+    seats = current;
+  } else {
+    seats = { economy: capacity, business: 0, first: 0 };
+  }
+
+  const total = seats.economy + seats.business + seats.first;
+  if (total !== capacity) {
+    return { error: `Class seat counts (${total}) must add up to capacity (${capacity})` };
+  }
+
+  return { seats };
+}
+
 // Get all aircraft
 router.get('/aircraft', async (req, res) => {
   try {
@@ -750,6 +975,10 @@ router.get('/aircraft', async (req, res) => {
         model,
         registration,
         capacity,
+        economy_seats,
+        business_seats,
+        first_class_seats,
+        seat_map,
         status,
         created_at,
         updated_at
@@ -783,6 +1012,18 @@ router.post('/aircraft', [
     .matches(/^[A-Z0-9\-]+$/).withMessage('Registration must contain only uppercase letters, numbers, and hyphens'),
   body('capacity')
     .isInt({ min: 1, max: 1000 }).withMessage('Capacity must be between 1 and 1000'),
+  body(['economy_seats', 'business_seats', 'first_class_seats'])
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 1000 }).withMessage('Class seat counts must be between 0 and 1000'),
+  body('seat_map')
+    .optional({ nullable: true })
+    .custom((value) => {
+      const error = validateSeatMap(value);
+      if (error) {
+        throw new Error(error);
+      }
+      return true;
+    }),
   body('status')
     .optional()
     .isIn(['active', 'maintenance', 'retired']).withMessage('Invalid status')
@@ -797,7 +1038,24 @@ router.post('/aircraft', [
       });
     }
 
-    const { model, registration, capacity, status = 'active' } = req.body;
+    const { model, registration, capacity, seat_map, status = 'active' } = req.body;
+
+    const { seats: classSeats, error: classSeatsError } = resolveClassSeats({
+      capacity: parseInt(capacity),
+      counts: {
+        economy: req.body.economy_seats,
+        business: req.body.business_seats,
+        first: req.body.first_class_seats
+      },
+      seatMap: seat_map
+    });
+
+    if (classSeatsError) {
+      return res.status(400).json({
+        success: false,
+        message: classSeatsError
+      });
+    }
 
     // Check if registration already exists
     const existing = await queryOne(
@@ -813,9 +1071,20 @@ router.post('/aircraft', [
     }
 
     const [result] = await require('../config/database').pool.execute(
-      `INSERT INTO aircraft (model, registration, capacity, status)
-       VALUES (?, ?, ?, ?)`,
-      [model, registration.toUpperCase(), parseInt(capacity), status]
+      `INSERT INTO aircraft (
+        model, registration, capacity, economy_seats, business_seats,
+        first_class_seats, seat_map, status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        model,
+        registration.toUpperCase(),
+        parseInt(capacity),
+        classSeats.economy,
+        classSeats.business,
+        classSeats.first,
+        seat_map ? JSON.stringify(seat_map) : null,
+        status
+      ]
     );
 
     res.status(201).json({
@@ -848,6 +1117,18 @@ router.put('/aircraft/:id', [
   body('capacity')
     .optional()
     .isInt({ min: 1, max: 1000 }).withMessage('Capacity must be between 1 and 1000'),
+  body(['economy_seats', 'business_seats', 'first_class_seats'])
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 1000 }).withMessage('Class seat counts must be between 0 and 1000'),
+  body('seat_map')
+    .optional({ nullable: true })
+    .custom((value) => {
+      const error = validateSeatMap(value);
+      if (error) {
+        throw new Error(error);
+      }
+      return true;
+    }),
   body('status')
     .optional()
     .isIn(['active', 'maintenance', 'retired']).withMessage('Invalid status')
@@ -863,7 +1144,7 @@ router.put('/aircraft/:id', [
     }
 
     const aircraftId = parseInt(req.params.id);
-    const { model, registration, capacity, status } = req.body;
+    const { model, registration, capacity, seat_map, status } = req.body;
 
     if (isNaN(aircraftId)) {
       return res.status(400).json({
@@ -873,7 +1154,7 @@ router.put('/aircraft/:id', [
     }
 
     // Check if aircraft exists
-    const aircraft = await queryOne('SELECT aircraft_id FROM aircraft WHERE aircraft_id = ?', [aircraftId]);
+    const aircraft = await queryOne('SELECT * FROM aircraft WHERE aircraft_id = ?', [aircraftId]);
     if (!aircraft) {
       return res.status(404).json({
         success: false,
@@ -911,6 +1192,39 @@ router.put('/aircraft/:id', [
       params.push(parseInt(capacity));
     }
 
+    if (seat_map !== undefined) {
+      updates.push('seat_map = ?');
+      params.push(seat_map ? JSON.stringify(seat_map) : null);
+    }
+
+    // Keep per-class seat counts consistent with capacity and seat map
+    const counts = {
+      economy: req.body.economy_seats,
+      business: req.body.business_seats,
+      first: req.body.first_class_seats
+    };
+
+    if (capacity !== undefined || seat_map || Object.values(counts).some(value => value !== undefined && value !== null)) {
+      const { seats: classSeats, error: classSeatsError } = resolveClassSeats({
+        capacity: capacity !== undefined ? parseInt(capacity) : aircraft.capacity,
+        counts,
+        seatMap: seat_map,
+        current: getClassCapacity(aircraft)
+      });
+
+      if (classSeatsError) {
+        return res.status(400).json({
+          success: false,
+          message: classSeatsError
+        });
+      }
+
+      for (const [flightClass, column] of Object.entries(CLASS_CAPACITY_COLUMNS)) {
+        updates.push(`${column} = ?`);
+        params.push(classSeats[flightClass]);
+      }
+    }
+
     if (status) {
       updates.push('status = ?');
       params.push(status);
@@ -994,72 +1308,1701 @@ router.delete('/aircraft/:id', async (req, res) => {
   }
 });
 
-// ========== HOT FLIGHTS ==========
+// ========== AIRPORTS MANAGEMENT ==========
+
+// Validation shared by create and update
+const airportValidators = [
+  body('latitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('timezone')
+    .optional({ nullable: true })
+    .custom((value) => {
+      if (!isValidTimezone(value)) {
+        throw new Error('Timezone must be an IANA timezone name, e.g. Europe/London');
+      }
+      return true;
+    }),
+  body('min_connection_minutes')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 1440 }).withMessage('min_connection_minutes must be between 0 and 1440'),
+  body('active')
+    .optional()
+    .isBoolean().withMessage('Active must be true or false')
+];
 
-// Get hot flights (most booked flights)
-router.get('/hot-flights', async (req, res) => {
+// Get airports with how many flights use them
+router.get('/airports', async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 5;
-    
-    const hotFlights = await query(
-      `SELECT 
-        f.flight_id,
-        f.flight_number,
-        f.departure_datetime,
-        f.arrival_datetime,
-        f.status,
-        f.base_price,
-        f.business_price,
-        f.first_class_price,
-        dep.airport_code as from_code,
-        dep.airport_name as from_name,
-        dep.city as from_city,
-        dep.country as from_country,
-        arr.airport_code as to_code,
-        arr.airport_name as to_name,
-        arr.city as to_city,
-        arr.country as to_country,
-        COUNT(b.booking_id) as booking_count,
-        COALESCE(SUM(b.total_amount), 0) as total_revenue,
-        a.model as aircraft_model,
-        a.capacity
-       FROM flights f
-       INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
-       INNER JOIN airports arr ON f.to_airport_code = arr.airport_code
-       INNER JOIN aircraft a ON f.aircraft_id = a.aircraft_id
-       LEFT JOIN bookings b ON f.flight_id = b.flight_id AND b.status = 'confirmed'
-       WHERE f.departure_datetime >= CURRENT_DATE
-       GROUP BY f.flight_id, f.flight_number, f.departure_datetime, f.arrival_datetime, 
-                f.status, f.base_price, f.business_price, f.first_class_price,
-                dep.airport_code, dep.airport_name, dep.city, dep.country,
-                arr.airport_code, arr.airport_name, arr.city, arr.country,
-                a.model, a.capacity
-       ORDER BY booking_count DESC, total_revenue DESC
-       LIMIT ?`,
-      [limit]
+    const search = (req.query.search || '').trim();
+    const { active } = req.query;
+
+    let sql = `SELECT 
+        ap.*,
+        (SELECT COUNT(*) FROM flights f
+         WHERE f.from_airport_code = ap.airport_code OR f.to_airport_code = ap.airport_code) as flight_count,
+        (SELECT COUNT(*) FROM flights f
+         WHERE (f.from_airport_code = ap.airport_code OR f.to_airport_code = ap.airport_code)
+           AND f.status IN ('scheduled', 'boarding', 'delayed') AND f.departure_datetime > NOW()) as upcoming_flight_count
+       FROM airports ap
+       WHERE 1=1`;
+    const params = [];
+
+    if (search) {
+      sql += ' AND (ap.airport_code LIKE ? OR ap.airport_name LIKE ? OR ap.city LIKE ? OR ap.country LIKE ?)';
+      const searchPattern = `%${search}%`;
+      params.push(searchPattern, searchPattern, searchPattern, searchPattern);
+    }
+
+    if (active !== undefined) {
+      sql += ' AND ap.active = ?';
+      params.push(active === 'true' ? 1 : 0);
+    }
+
+    sql += ' ORDER BY ap.airport_code';
+
+    const airports = await query(sql, params);
+
+    res.json({
+      success: true,
+      data: { airports: airports || [] }
+    });
+  } catch (error) {
+    console.error('Get airports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get airports: ' + error.message
+    });
+  }
+});
+
+// Create airport
+router.post('/airports', [
+  body('airport_code')
+    .trim()
+    .customSanitizer(normalizeAirportCode)
+    .matches(IATA_CODE_PATTERN).withMessage('Airport code must be a 3-letter IATA code'),
+  body('airport_name')
+    .trim()
+    .notEmpty().withMessage('Airport name is required')
+    .isLength({ max: 100 }).withMessage('Airport name is too long'),
+  body('city')
+    .trim()
+    .notEmpty().withMessage('City is required')
+    .isLength({ max: 100 }).withMessage('City is too long'),
+  body('country')
+    .trim()
+    .notEmpty().withMessage('Country is required')
+    .isLength({ max: 100 }).withMessage('Country is too long'),
+  ...airportValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      airport_code,
+      airport_name,
+      city,
+      country,
+      latitude,
+      longitude,
+      timezone,
+      min_connection_minutes,
+      active = true
+    } = req.body;
+
+    if ((latitude === undefined || latitude === null) !== (longitude === undefined || longitude === null)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Give both latitude and longitude, or neither'
+      });
+    }
+
+    const existing = await queryOne('SELECT airport_code FROM airports WHERE airport_code = ?', [airport_code]);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Airport code already exists'
+      });
+    }
+
+    await query(
+      `INSERT INTO airports (
+        airport_code, airport_name, city, country, latitude, longitude, timezone,
+        min_connection_minutes, active
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        airport_code,
+        airport_name,
+        city,
+        country,
+        latitude !== undefined && latitude !== null ? parseFloat(latitude) : null,
+        longitude !== undefined && longitude !== null ? parseFloat(longitude) : null,
+        timezone || null,
+        min_connection_minutes !== undefined && min_connection_minutes !== null ? parseInt(min_connection_minutes) : null,
+        active === true || active === 'true' ? 1 : 0
+      ]
     );
 
-    // Calculate occupancy rate for each flight
-    const flightsWithOccupancy = await Promise.all(
-      (hotFlights || []).map(async (flight) => {
-        const bookedSeats = await queryOne(
-          `SELECT COUNT(*) as total 
-           FROM booking_passengers bp
-           INNER JOIN bookings b ON bp.booking_id = b.booking_id
-           WHERE b.flight_id = ? AND b.status != 'cancelled'`,
-          [flight.flight_id]
-        );
-        
-        const occupancyRate = flight.capacity > 0
-          ? Math.round(((bookedSeats?.total || 0) / flight.capacity) * 100)
-          : 0;
-        
+    res.status(201).json({
+      success: true,
+      message: 'Airport created successfully',
+      data: { airport_code }
+    });
+  } catch (error) {
+    console.error('Create airport error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create airport: ' + error.message
+    });
+  }
+});
+
+// Update airport. The code identifies the airport on flights and bookings,
+// so it can't be changed; deactivate with `active: false`.
+router.put('/airports/:code', [
+  body('airport_name')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Airport name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Airport name is too long'),
+  body('city')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('City cannot be empty')
+    .isLength({ max: 100 }).withMessage('City is too long'),
+  body('country')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Country cannot be empty')
+    .isLength({ max: 100 }).withMessage('Country is too long'),
+  ...airportValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const airportCode = normalizeAirportCode(req.params.code);
+
+    const airport = await queryOne('SELECT * FROM airports WHERE airport_code = ?', [airportCode]);
+    if (!airport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Airport not found'
+      });
+    }
+
+    const fields = {
+      airport_name: value => value,
+      city: value => value,
+      country: value => value,
+      latitude: value => (value === null ? null : parseFloat(value)),
+      longitude: value => (value === null ? null : parseFloat(value)),
+      timezone: value => value || null,
+      min_connection_minutes: value => (value === null ? null : parseInt(value)),
+      active: value => (value === true || value === 'true' ? 1 : 0)
+    };
+
+    const updates = [];
+    const params = [];
+    const updated = { ...airport };
+
+    for (const [field, parse] of Object.entries(fields)) {
+      if (req.body[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        params.push(parse(req.body[field]));
+        updated[field] = parse(req.body[field]);
+      }
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    if ((updated.latitude === null) !== (updated.longitude === null)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Give both latitude and longitude, or neither'
+      });
+    }
+
+    params.push(airportCode);
+
+    await query(
+      `UPDATE airports SET ${updates.join(', ')} WHERE airport_code = ?`,
+      params
+    );
+
+    // Deactivating stops new bookings on the airport's upcoming flights
+    let affectedFlights = 0;
+    if (airport.active && !updated.active) {
+      const upcoming = await queryOne(
+        `SELECT COUNT(*) as count FROM flights
+         WHERE (from_airport_code = ? OR to_airport_code = ?)
+           AND status IN ('scheduled', 'boarding', 'delayed') AND departure_datetime > NOW()`,
+        [airportCode, airportCode]
+      );
+      affectedFlights = upcoming?.count || 0;
+    }
+
+    res.json({
+      success: true,
+      message: affectedFlights > 0
+        ? `Airport deactivated. ${affectedFlights} upcoming flight(s) can no longer be booked.`
+        : 'Airport updated successfully',
+      data: { airport_code: airportCode, upcoming_flights_blocked: affectedFlights }
+    });
+  } catch (error) {
+    console.error('Update airport error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update airport: ' + error.message
+    });
+  }
+});
+
+// Delete airport; refused while any flight uses it
+router.delete('/airports/:code', async (req, res) => {
+  try {
+    const airportCode = normalizeAirportCode(req.params.code);
+
+    const flights = await queryOne(
+      'SELECT COUNT(*) as count FROM flights WHERE from_airport_code = ? OR to_airport_code = ?',
+      [airportCode, airportCode]
+    );
+
+    const flightCount = flights?.count || 0;
+    if (flightCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete airport used by ${flightCount} flight(s). Deactivate it instead.`
+      });
+    }
+
+    const result = await query('DELETE FROM airports WHERE airport_code = ?', [airportCode]);
+
+    if (!result.affectedRows) {
+      return res.status(404).json({
+        success: false,
+        message: 'Airport not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Airport deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete airport error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete airport: ' + error.message
+    });
+  }
+});
+
+// ========== FARE RULES ==========
+
+// Get fare rules for every class (defaults shown where none are configured)
+router.get('/fare-rules', async (req, res) => {
+  try {
+    const pool = require('../config/database').pool;
+    const fareRules = [];
+
+    for (const flightClass of CABIN_CLASSES) {
+      fareRules.push(await getFareRule(pool, flightClass));
+    }
+
+    res.json({
+      success: true,
+      data: { fareRules }
+    });
+  } catch (error) {
+    console.error('Get fare rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get fare rules: ' + error.message
+    });
+  }
+});
+
+// Create or replace the fare rule for a class
+router.put('/fare-rules/:class', [
+  body('refundable')
+    .isBoolean().withMessage('Refundable must be true or false'),
+  body('change_fee')
+    .isFloat({ min: 0 }).withMessage('Change fee must be a non-negative number'),
+  body('cancellation_fees')
+    .custom((value) => {
+      const error = validateCancellationFees(value);
+      if (error) {
+        throw new Error(error);
+      }
+      return true;
+    })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const flightClass = req.params.class;
+    const { refundable, change_fee, cancellation_fees } = req.body;
+
+    if (!CABIN_CLASSES.includes(flightClass)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid class'
+      });
+    }
+
+    await query(
+      `INSERT INTO fare_rules (class, refundable, change_fee, cancellation_fees)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         refundable = VALUES(refundable),
+         change_fee = VALUES(change_fee),
+         cancellation_fees = VALUES(cancellation_fees),
+         updated_at = CURRENT_TIMESTAMP`,
+      [
+        flightClass,
+        refundable === true || refundable === 'true' ? 1 : 0,
+        parseFloat(change_fee),
+        JSON.stringify(cancellation_fees)
+      ]
+    );
+
+    res.json({
+      success: true,
+      message: 'Fare rule saved successfully'
+    });
+  } catch (error) {
+    console.error('Save fare rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save fare rule: ' + error.message
+    });
+  }
+});
+
+// ========== TAX RATES ==========
+
+// Taxes are levied per passenger by the departure or arrival country and
+// added to every fare on matching routes
+
+// Get all tax rates
+router.get('/tax-rates', async (req, res) => {
+  try {
+    const { country } = req.query;
+
+    let sql = 'SELECT * FROM tax_rates WHERE 1=1';
+    const params = [];
+
+    if (country) {
+      sql += ' AND country = ?';
+      params.push(country);
+    }
+
+    sql += ' ORDER BY country, applies_to, code';
+
+    const taxRates = await query(sql, params);
+
+    res.json({
+      success: true,
+      data: { taxRates }
+    });
+  } catch (error) {
+    console.error('Get tax rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get tax rates: ' + error.message
+    });
+  }
+});
+
+// Create tax rate
+router.post('/tax-rates', [
+  body('country')
+    .trim()
+    .notEmpty().withMessage('Country is required')
+    .isLength({ max: 100 }).withMessage('Country is too long'),
+  body('code')
+    .trim()
+    .notEmpty().withMessage('Code is required')
+    .isLength({ max: 10 }).withMessage('Code is too long'),
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name is too long'),
+  body('applies_to')
+    .isIn(['departure', 'arrival']).withMessage('applies_to must be departure or arrival'),
+  body('amount_type')
+    .isIn(['fixed', 'percent']).withMessage('amount_type must be fixed or percent'),
+  body('amount')
+    .isFloat({ min: 0 }).withMessage('Amount must be a non-negative number'),
+  body('active')
+    .optional()
+    .isBoolean().withMessage('Active must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { country, code, name, applies_to, amount_type, amount, active = true } = req.body;
+
+    if (amount_type === 'percent' && parseFloat(amount) > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Percentage taxes cannot exceed 100'
+      });
+    }
+
+    const [result] = await require('../config/database').pool.execute(
+      `INSERT INTO tax_rates (country, code, name, applies_to, amount_type, amount, active)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        country,
+        code.toUpperCase(),
+        name,
+        applies_to,
+        amount_type,
+        parseFloat(amount),
+        active === true || active === 'true' ? 1 : 0
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax rate created successfully',
+      data: { tax_rate_id: result.insertId }
+    });
+  } catch (error) {
+    console.error('Create tax rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create tax rate: ' + error.message
+    });
+  }
+});
+
+// Update tax rate
+router.put('/tax-rates/:id', [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Name is too long'),
+  body('applies_to')
+    .optional()
+    .isIn(['departure', 'arrival']).withMessage('applies_to must be departure or arrival'),
+  body('amount_type')
+    .optional()
+    .isIn(['fixed', 'percent']).withMessage('amount_type must be fixed or percent'),
+  body('amount')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Amount must be a non-negative number'),
+  body('active')
+    .optional()
+    .isBoolean().withMessage('Active must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const taxRateId = parseInt(req.params.id);
+    const taxRate = await queryOne('SELECT * FROM tax_rates WHERE tax_rate_id = ?', [taxRateId]);
+
+    if (!taxRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    const { name, applies_to, amount_type, amount, active } = req.body;
+    const amountType = amount_type || taxRate.amount_type;
+    const newAmount = amount !== undefined ? parseFloat(amount) : parseFloat(taxRate.amount);
+
+    if (amountType === 'percent' && newAmount > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Percentage taxes cannot exceed 100'
+      });
+    }
+
+    const updates = [];
+    const params = [];
+
+    if (name) {
+      updates.push('name = ?');
+      params.push(name);
+    }
+
+    if (applies_to) {
+      updates.push('applies_to = ?');
+      params.push(applies_to);
+    }
+
+    if (amount_type) {
+      updates.push('amount_type = ?');
+      params.push(amount_type);
+    }
+
+    if (amount !== undefined) {
+      updates.push('amount = ?');
+      params.push(newAmount);
+    }
+
+    if (active !== undefined) {
+      updates.push('active = ?');
+      params.push(active === true || active === 'true' ? 1 : 0);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    params.push(taxRateId);
+
+    await query(
+      `UPDATE tax_rates SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE tax_rate_id = ?`,
+      params
+    );
+
+    res.json({
+      success: true,
+      message: 'Tax rate updated successfully'
+    });
+  } catch (error) {
+    console.error('Update tax rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update tax rate: ' + error.message
+    });
+  }
+});
+
+// Delete tax rate. Existing bookings keep the taxes itemized on them.
+router.delete('/tax-rates/:id', async (req, res) => {
+  try {
+    const taxRateId = parseInt(req.params.id);
+
+    const result = await query('DELETE FROM tax_rates WHERE tax_rate_id = ?', [taxRateId]);
+
+    if (!result.affectedRows) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tax rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete tax rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete tax rate: ' + error.message
+    });
+  }
+});
+
+// ========== CHECK-IN RULES ==========
+
+const CHECK_IN_RULE_FIELDS = ['opens_minutes_before', 'closes_minutes_before', 'boarding_minutes_before'];
+
+const checkInRuleValidators = (optional) => CHECK_IN_RULE_FIELDS.map(field => {
+  const chain = body(field);
+  return (optional ? chain.optional() : chain)
+    .isInt({ min: 0, max: 14 * 24 * 60 }).withMessage(`${field} must be a whole number of minutes (up to 14 days)`);
+});
+
+// Get check-in rules, along with the defaults for airports and routes
+// without one
+router.get('/check-in-rules', async (req, res) => {
+  try {
+    const { airport } = req.query;
+
+    let sql = 'SELECT * FROM check_in_rules WHERE 1=1';
+    const params = [];
+
+    if (airport) {
+      sql += ' AND from_airport_code = ?';
+      params.push(normalizeAirportCode(airport));
+    }
+
+    sql += ' ORDER BY from_airport_code, to_airport_code IS NOT NULL, to_airport_code';
+
+    const checkInRules = await query(sql, params);
+
+    res.json({
+      success: true,
+      data: { checkInRules, defaults: DEFAULT_CHECK_IN_RULES }
+    });
+  } catch (error) {
+    console.error('Get check-in rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get check-in rules: ' + error.message
+    });
+  }
+});
+
+// Create a check-in rule for a departure airport, or for a route when
+// to_airport_code is given
+router.post('/check-in-rules', [
+  body('from_airport_code')
+    .trim()
+    .notEmpty().withMessage('Departure airport is required'),
+  body('to_airport_code')
+    .optional({ values: 'null' })
+    .trim(),
+  ...checkInRuleValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fromCode = normalizeAirportCode(req.body.from_airport_code);
+    const toCode = req.body.to_airport_code ? normalizeAirportCode(req.body.to_airport_code) : null;
+
+    for (const code of [fromCode, toCode].filter(Boolean)) {
+      if (!IATA_CODE_PATTERN.test(code)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Airport codes must be 3-letter IATA codes'
+        });
+      }
+
+      const airport = await queryOne('SELECT airport_code FROM airports WHERE airport_code = ?', [code]);
+      if (!airport) {
+        return res.status(404).json({
+          success: false,
+          message: `Airport ${code} not found`
+        });
+      }
+    }
+
+    if (fromCode === toCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Departure and arrival airports must be different'
+      });
+    }
+
+    const rules = {};
+    for (const field of CHECK_IN_RULE_FIELDS) {
+      rules[field] = parseInt(req.body[field]);
+    }
+
+    const rulesError = validateCheckInRules(rules);
+    if (rulesError) {
+      return res.status(400).json({
+        success: false,
+        message: rulesError
+      });
+    }
+
+    // The unique key doesn't catch two airport-wide rules (NULL destination)
+    const existing = await queryOne(
+      'SELECT check_in_rule_id FROM check_in_rules WHERE from_airport_code = ? AND to_airport_code <=> ?',
+      [fromCode, toCode]
+    );
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: toCode
+          ? `A check-in rule for ${fromCode}-${toCode} already exists`
+          : `A check-in rule for ${fromCode} already exists`
+      });
+    }
+
+    const [result] = await require('../config/database').pool.execute(
+      `INSERT INTO check_in_rules (
+        from_airport_code, to_airport_code, opens_minutes_before, closes_minutes_before, boarding_minutes_before
+      ) VALUES (?, ?, ?, ?, ?)`,
+      [fromCode, toCode, rules.opens_minutes_before, rules.closes_minutes_before, rules.boarding_minutes_before]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Check-in rule created successfully',
+      data: { check_in_rule_id: result.insertId }
+    });
+  } catch (error) {
+    console.error('Create check-in rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create check-in rule: ' + error.message
+    });
+  }
+});
+
+// Update a check-in rule's times. The airport or route it covers stays
+// the same; delete it and create another to move it.
+router.put('/check-in-rules/:id', checkInRuleValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const ruleId = parseInt(req.params.id);
+    const rule = await queryOne('SELECT * FROM check_in_rules WHERE check_in_rule_id = ?', [ruleId]);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Check-in rule not found'
+      });
+    }
+
+    const updates = [];
+    const params = [];
+    const rules = {};
+
+    for (const field of CHECK_IN_RULE_FIELDS) {
+      rules[field] = req.body[field] !== undefined ? parseInt(req.body[field]) : rule[field];
+      if (req.body[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        params.push(rules[field]);
+      }
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    const rulesError = validateCheckInRules(rules);
+    if (rulesError) {
+      return res.status(400).json({
+        success: false,
+        message: rulesError
+      });
+    }
+
+    params.push(ruleId);
+
+    await query(
+      `UPDATE check_in_rules SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE check_in_rule_id = ?`,
+      params
+    );
+
+    res.json({
+      success: true,
+      message: 'Check-in rule updated successfully'
+    });
+  } catch (error) {
+    console.error('Update check-in rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update check-in rule: ' + error.message
+    });
+  }
+});
+
+// Delete a check-in rule; its flights fall back to the airport rule or the
+// defaults
+router.delete('/check-in-rules/:id', async (req, res) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+
+    const result = await query('DELETE FROM check_in_rules WHERE check_in_rule_id = ?', [ruleId]);
+
+    if (!result.affectedRows) {
+      return res.status(404).json({
+        success: false,
+        message: 'Check-in rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Check-in rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete check-in rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete check-in rule: ' + error.message
+    });
+  }
+});
+
+// ========== EXCHANGE RATES ==========
+
+// Get exchange rates (units of each currency per unit of the selling currency)
+router.get('/exchange-rates', async (req, res) => {
+  try {
+    const exchangeRates = await query('SELECT * FROM exchange_rates ORDER BY currency');
+
+    res.json({
+      success: true,
+      data: {
+        baseCurrency: DEFAULT_CURRENCY,
+        reportingCurrency: REPORTING_CURRENCY,
+        exchangeRates
+      }
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get exchange rates: ' + error.message
+    });
+  }
+});
+
+// Create or replace the exchange rate for a currency
+router.put('/exchange-rates/:currency', [
+  body('rate')
+    .isFloat({ gt: 0 }).withMessage('Rate must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const currency = normalizeCurrencyCode(req.params.currency);
+
+    if (!CURRENCY_CODE_PATTERN.test(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currency must be a 3-letter ISO 4217 code'
+      });
+    }
+
+    if (currency === DEFAULT_CURRENCY) {
+      return res.status(400).json({
+        success: false,
+        message: `${DEFAULT_CURRENCY} is the base currency and always has a rate of 1`
+      });
+    }
+
+    await query(
+      `INSERT INTO exchange_rates (currency, rate)
+       VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE
+         rate = VALUES(rate),
+         updated_at = CURRENT_TIMESTAMP`,
+      [currency, parseFloat(req.body.rate)]
+    );
+
+    res.json({
+      success: true,
+      message: 'Exchange rate saved successfully'
+    });
+  } catch (error) {
+    console.error('Save exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save exchange rate: ' + error.message
+    });
+  }
+});
+
+// Delete exchange rate. Refused while active bookings are priced in the
+// currency, since reports could no longer convert them.
+router.delete('/exchange-rates/:currency', async (req, res) => {
+  try {
+    const currency = normalizeCurrencyCode(req.params.currency);
+
+    const bookingsResult = await queryOne(
+      "SELECT COUNT(*) as count FROM bookings WHERE currency = ? AND status != 'cancelled'",
+      [currency]
+    );
+
+    const bookingCount = bookingsResult?.count || 0;
+    if (bookingCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete the rate for ${currency} while ${bookingCount} booking(s) use it`
+      });
+    }
+
+    const result = await query('DELETE FROM exchange_rates WHERE currency = ?', [currency]);
+
+    if (!result.affectedRows) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Exchange rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete exchange rate: ' + error.message
+    });
+  }
+});
+
+// ========== ANCILLARIES ==========
+
+// Get the ancillary catalog with its price overrides
+router.get('/ancillaries', async (req, res) => {
+  try {
+    const ancillaries = await query('SELECT * FROM ancillaries ORDER BY category, name');
+    const prices = await query(
+      'SELECT * FROM ancillary_prices ORDER BY ancillary_id, from_airport_code, to_airport_code, class'
+    );
+
+    for (const ancillary of ancillaries) {
+      ancillary.prices = prices.filter(price => price.ancillary_id === ancillary.ancillary_id);
+    }
+
+    res.json({
+      success: true,
+      data: { ancillaries }
+    });
+  } catch (error) {
+    console.error('Get ancillaries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get ancillaries: ' + error.message
+    });
+  }
+});
+
+// Create ancillary
+router.post('/ancillaries', [
+  body('code')
+    .trim()
+    .notEmpty().withMessage('Code is required')
+    .isLength({ max: 20 }).withMessage('Code is too long'),
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name is too long'),
+  body('category')
+    .isIn(ANCILLARY_CATEGORIES).withMessage(`Category must be one of: ${ANCILLARY_CATEGORIES.join(', ')}`),
+  body('description')
+    .optional({ nullable: true })
+    .isLength({ max: 255 }).withMessage('Description is too long'),
+  body('price')
+    .isFloat({ min: 0 }).withMessage('Price must be a non-negative number'),
+  body('max_per_passenger')
+    .optional()
+    .isInt({ min: 1, max: 20 }).withMessage('max_per_passenger must be between 1 and 20'),
+  body('active')
+    .optional()
+    .isBoolean().withMessage('Active must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { code, name, category, description, price, max_per_passenger = 1, active = true } = req.body;
+
+    const existing = await queryOne('SELECT ancillary_id FROM ancillaries WHERE code = ?', [code.toUpperCase()]);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ancillary code already exists'
+      });
+    }
+
+    const [result] = await require('../config/database').pool.execute(
+      `INSERT INTO ancillaries (code, name, category, description, price, max_per_passenger, active)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        code.toUpperCase(),
+        name,
+        category,
+        description || null,
+        parseFloat(price),
+        parseInt(max_per_passenger),
+        active === true || active === 'true' ? 1 : 0
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Ancillary created successfully',
+      data: { ancillary_id: result.insertId }
+    });
+  } catch (error) {
+    console.error('Create ancillary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create ancillary: ' + error.message
+    });
+  }
+});
+
+// Update ancillary
+router.put('/ancillaries/:id', [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Name is too long'),
+  body('description')
+    .optional({ nullable: true })
+    .isLength({ max: 255 }).withMessage('Description is too long'),
+  body('price')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Price must be a non-negative number'),
+  body('max_per_passenger')
+    .optional()
+    .isInt({ min: 1, max: 20 }).withMessage('max_per_passenger must be between 1 and 20'),
+  body('active')
+    .optional()
+    .isBoolean().withMessage('Active must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const ancillaryId = parseInt(req.params.id);
+    const { name, description, price, max_per_passenger, active } = req.body;
+
+    const updates = [];
+    const params = [];
+
+    if (name) {
+      updates.push('name = ?');
+      params.push(name);
+    }
+
+    if (description !== undefined) {
+      updates.push('description = ?');
+      params.push(description || null);
+    }
+
+    if (price !== undefined) {
+      updates.push('price = ?');
+      params.push(parseFloat(price));
+    }
+
+    if (max_per_passenger !== undefined) {
+      updates.push('max_per_passenger = ?');
+      params.push(parseInt(max_per_passenger));
+    }
+
+    if (active !== undefined) {
+      updates.push('active = ?');
+      params.push(active === true || active === 'true' ? 1 : 0);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    params.push(ancillaryId);
+
+    const result = await query(
+      `UPDATE ancillaries SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE ancillary_id = ?`,
+      params
+    );
+
+    if (!result.affectedRows) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ancillary not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Ancillary updated successfully'
+    });
+  } catch (error) {
+    console.error('Update ancillary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update ancillary: ' + error.message
+    });
+  }
+});
+
+// Set a price override for a route (from and to), a class, or both
+router.post('/ancillaries/:id/prices', [
+  body(['from_airport_code', 'to_airport_code'])
+    .optional({ nullable: true })
+    .isLength({ min: 3, max: 3 }).withMessage('Airport codes must be 3 letters'),
+  body('class')
+    .optional({ nullable: true })
+    .isIn(CABIN_CLASSES).withMessage('Invalid class'),
+  body('price')
+    .isFloat({ min: 0 }).withMessage('Price must be a non-negative number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const ancillaryId = parseInt(req.params.id);
+    const fromCode = req.body.from_airport_code ? req.body.from_airport_code.toUpperCase() : null;
+    const toCode = req.body.to_airport_code ? req.body.to_airport_code.toUpperCase() : null;
+    const flightClass = req.body.class || null;
+
+    if (Boolean(fromCode) !== Boolean(toCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A route price needs both from_airport_code and to_airport_code'
+      });
+    }
+
+    if (!fromCode && !flightClass) {
+      return res.status(400).json({
+        success: false,
+        message: 'Give a route, a class or both; use the ancillary price for the default'
+      });
+    }
+
+    const ancillary = await queryOne('SELECT ancillary_id FROM ancillaries WHERE ancillary_id = ?', [ancillaryId]);
+    if (!ancillary) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ancillary not found'
+      });
+    }
+
+    // Replace any existing override for the same route and class
+    await query(
+      `DELETE FROM ancillary_prices
+       WHERE ancillary_id = ? AND from_airport_code <=> ? AND to_airport_code <=> ? AND class <=> ?`,
+      [ancillaryId, fromCode, toCode, flightClass]
+    );
+
+    const result = await query(
+      `INSERT INTO ancillary_prices (ancillary_id, from_airport_code, to_airport_code, class, price)
+       VALUES (?, ?, ?, ?, ?)`,
+      [ancillaryId, fromCode, toCode, flightClass, parseFloat(req.body.price)]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Ancillary price saved successfully',
+      data: { ancillary_price_id: result.insertId }
+    });
+  } catch (error) {
+    console.error('Save ancillary price error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save ancillary price: ' + error.message
+    });
+  }
+});
+
+// Remove a price override
+router.delete('/ancillaries/:id/prices/:priceId', async (req, res) => {
+  try {
+    const result = await query(
+      'DELETE FROM ancillary_prices WHERE ancillary_price_id = ? AND ancillary_id = ?',
+      [parseInt(req.params.priceId), parseInt(req.params.id)]
+    );
+
+    if (!result.affectedRows) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ancillary price not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Ancillary price deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete ancillary price error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete ancillary price: ' + error.message
+    });
+  }
+});
+
+// ========== PROMO CODES ==========
+
+// Validation shared by create and update
+const promoCodeValidators = [
+  body('campaign')
+    .optional({ nullable: true })
+    .isLength({ max: 100 }).withMessage('Campaign is too long'),
+  body('description')
+    .optional({ nullable: true })
+    .isLength({ max: 255 }).withMessage('Description is too long'),
+  body(['valid_from', 'valid_until'])
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Validity dates must be ISO 8601 dates'),
+  body(['max_uses', 'max_uses_per_user'])
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Usage limits must be positive whole numbers'),
+  body(['from_airport_code', 'to_airport_code'])
+    .optional({ nullable: true })
+    .isLength({ min: 3, max: 3 }).withMessage('Airport codes must be 3 letters'),
+  body('class')
+    .optional({ nullable: true })
+    .isIn(CABIN_CLASSES).withMessage('Invalid class'),
+  body('active')
+    .optional()
+    .isBoolean().withMessage('Active must be true or false')
+];
+
+// Returns an error message for an invalid promo code, or null
+function validatePromoCode(promo) {
+  if (promo.discount_type === 'percent' && parseFloat(promo.discount_value) > 100) {
+    return 'A percentage discount cannot exceed 100';
+  }
+  if (Boolean(promo.from_airport_code) !== Boolean(promo.to_airport_code)) {
+    return 'A route restriction needs both from_airport_code and to_airport_code';
+  }
+  if (promo.valid_from && promo.valid_until && new Date(promo.valid_from) >= new Date(promo.valid_until)) {
+    return 'valid_until must be after valid_from';
+  }
+  return null;
+}
+
+// Get promo codes, optionally filtered by campaign or active flag
+router.get('/promo-codes', async (req, res) => {
+  try {
+    const { campaign, active } = req.query;
+
+    let sql = 'SELECT * FROM promo_codes WHERE 1=1';
+    const params = [];
+
+    if (campaign) {
+      sql += ' AND campaign = ?';
+      params.push(campaign);
+    }
+
+    if (active !== undefined) {
+      sql += ' AND active = ?';
+      params.push(active === 'true' ? 1 : 0);
+    }
+
+    sql += ' ORDER BY created_at DESC';
+
+    const promoCodes = await query(sql, params);
+
+    res.json({
+      success: true,
+      data: { promo_codes: promoCodes }
+    });
+  } catch (error) {
+    console.error('Get promo codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get promo codes: ' + error.message
+    });
+  }
+});
+
+// Get a promo code with its redemptions
+router.get('/promo-codes/:id', async (req, res) => {
+  try {
+    const promoCodeId = parseInt(req.params.id);
+
+    const promoCode = await queryOne('SELECT * FROM promo_codes WHERE promo_code_id = ?', [promoCodeId]);
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    promoCode.redemptions = await query(
+      `SELECT pr.*, b.booking_reference, b.status as booking_status, b.payment_status, u.email
+       FROM promo_redemptions pr
+       INNER JOIN bookings b ON pr.booking_id = b.booking_id
+       INNER JOIN users u ON pr.user_id = u.user_id
+       WHERE pr.promo_code_id = ?
+       ORDER BY pr.created_at DESC`,
+      [promoCodeId]
+    );
+
+    res.json({
+      success: true,
+      data: { promo_code: promoCode }
+    });
+  } catch (error) {
+    console.error('Get promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get promo code: ' + error.message
+    });
+  }
+});
+
+// Create promo code
+router.post('/promo-codes', [
+  body('code')
+    .trim()
+    .notEmpty().withMessage('Code is required')
+    .isLength({ max: 30 }).withMessage('Code is too long')
+    .matches(/^[A-Za-z0-9_-]+$/).withMessage('Code may only contain letters, digits, dashes and underscores'),
+  body('discount_type')
+    .isIn(PROMO_DISCOUNT_TYPES).withMessage(`Discount type must be one of: ${PROMO_DISCOUNT_TYPES.join(', ')}`),
+  body('discount_value')
+    .isFloat({ gt: 0 }).withMessage('Discount value must be a positive number'),
+  ...promoCodeValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      campaign,
+      description,
+      discount_type,
+      discount_value,
+      valid_from,
+      valid_until,
+      max_uses,
+      max_uses_per_user,
+      from_airport_code,
+      to_airport_code,
+      class: flightClass,
+      active = true
+    } = req.body;
+    const code = normalizePromoCode(req.body.code);
+
+    const promoError = validatePromoCode(req.body);
+    if (promoError) {
+      return res.status(400).json({
+        success: false,
+        message: promoError
+      });
+    }
+
+    const existing = await queryOne('SELECT promo_code_id FROM promo_codes WHERE code = ?', [code]);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Promo code already exists'
+      });
+    }
+
+    const [result] = await require('../config/database').pool.execute(
+      `INSERT INTO promo_codes (
+        code, campaign, description, discount_type, discount_value, valid_from, valid_until,
+        max_uses, max_uses_per_user, from_airport_code, to_airport_code, class, active
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        code,
+        campaign || null,
+        description || null,
+        discount_type,
+        parseFloat(discount_value),
+        valid_from ? new Date(valid_from) : null,
+        valid_until ? new Date(valid_until) : null,
+        max_uses ? parseInt(max_uses) : null,
+        max_uses_per_user ? parseInt(max_uses_per_user) : null,
+        from_airport_code ? from_airport_code.toUpperCase() : null,
+        to_airport_code ? to_airport_code.toUpperCase() : null,
+        flightClass || null,
+        active === true || active === 'true' ? 1 : 0
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created successfully',
+      data: { promo_code_id: result.insertId, code }
+    });
+  } catch (error) {
+    console.error('Create promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create promo code: ' + error.message
+    });
+  }
+});
+
+// Update promo code. The code itself and its discount can't change once
+// created; only campaign details, validity, limits and restrictions.
+router.put('/promo-codes/:id', promoCodeValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const promoCodeId = parseInt(req.params.id);
+
+    const promoCode = await queryOne('SELECT * FROM promo_codes WHERE promo_code_id = ?', [promoCodeId]);
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const fields = {
+      campaign: value => value || null,
+      description: value => value || null,
+      valid_from: value => (value ? new Date(value) : null),
+      valid_until: value => (value ? new Date(value) : null),
+      max_uses: value => (value ? parseInt(value) : null),
+      max_uses_per_user: value => (value ? parseInt(value) : null),
+      from_airport_code: value => (value ? value.toUpperCase() : null),
+      to_airport_code: value => (value ? value.toUpperCase() : null),
+      class: value => value || null,
+      active: value => (value === true || value === 'true' ? 1 : 0)
+    };
+
+    const updates = [];
+    const params = [];
+    const updated = { ...promoCode };
+
+    for (const [field, parse] of Object.entries(fields)) {
+      if (req.body[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        params.push(parse(req.body[field]));
+        updated[field] = parse(req.body[field]);
+      }
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    const promoError = validatePromoCode(updated);
+    if (promoError) {
+      return res.status(400).json({
+        success: false,
+        message: promoError
+      });
+    }
+
+    params.push(promoCodeId);
+
+    await query(
+      `UPDATE promo_codes SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE promo_code_id = ?`,
+      params
+    );
+
+    res.json({
+      success: true,
+      message: 'Promo code updated successfully'
+    });
+  } catch (error) {
+    console.error('Update promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update promo code: ' + error.message
+    });
+  }
+});
+
+// Delete promo code; codes that have been used are kept for reporting and
+// should be deactivated instead
+router.delete('/promo-codes/:id', async (req, res) => {
+  try {
+    const promoCodeId = parseInt(req.params.id);
+
+    const redemptions = await queryOne(
+      'SELECT COUNT(*) as count FROM promo_redemptions WHERE promo_code_id = ?',
+      [promoCodeId]
+    );
+
+    if (redemptions.count > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a promo code that has been used. Deactivate it instead.'
+      });
+    }
+
+    const result = await query('DELETE FROM promo_codes WHERE promo_code_id = ?', [promoCodeId]);
+
+    if (!result.affectedRows) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promo code deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete promo code: ' + error.message
+    });
+  }
+});
+
+// ========== HOT FLIGHTS ==========
+
+// Get hot flights (most booked flights)
+router.get('/hot-flights', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 5;
+    
+    const hotFlights = await query(
+      `SELECT 
+        f.flight_id,
+        f.flight_number,
+        f.departure_datetime,
+        f.arrival_datetime,
+        f.status,
+        f.base_price,
+        f.business_price,
+        f.first_class_price,
+        dep.airport_code as from_code,
+        dep.airport_name as from_name,
+        dep.city as from_city,
+        dep.country as from_country,
+        arr.airport_code as to_code,
+        arr.airport_name as to_name,
+        arr.city as to_city,
+        arr.country as to_country,
+        COUNT(b.booking_id) as booking_count,
+        COALESCE(SUM(b.total_amount), 0) as total_revenue,
+        a.model as aircraft_model,
+        a.capacity,
+        a.economy_seats,
+        a.business_seats,
+        a.first_class_seats
+       FROM flights f
+       INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
+       INNER JOIN airports arr ON f.to_airport_code = arr.airport_code
+       INNER JOIN aircraft a ON f.aircraft_id = a.aircraft_id
+       LEFT JOIN bookings b ON f.flight_id = b.flight_id AND b.status = 'confirmed'
+       WHERE f.departure_datetime >= CURRENT_DATE
+       GROUP BY f.flight_id, f.flight_number, f.departure_datetime, f.arrival_datetime, 
+                f.status, f.base_price, f.business_price, f.first_class_price,
+                dep.airport_code, dep.airport_name, dep.city, dep.country,
+                arr.airport_code, arr.airport_name, arr.city, arr.country,
+                a.model, a.capacity, a.economy_seats, a.business_seats, a.first_class_seats
+       ORDER BY booking_count DESC, total_revenue DESC
+       LIMIT ?`,
+      [limit]
+    );
+
+    // Calculate occupancy rate for each flight, overall and per class
+    const flightsWithOccupancy = await Promise.all(
+      (hotFlights || []).map(async (flight) => {
+        const inventory = await getSeatInventory(require('../config/database').pool, flight);
+        const bookedByClass = inventory.booked;
+        const capacityByClass = inventory.capacity;
+        const bookedSeats = bookedByClass.economy + bookedByClass.business + bookedByClass.first;
+
+        const occupancyRate = flight.capacity > 0
+          ? Math.round((bookedSeats / flight.capacity) * 100)
+          : 0;
+
+        const occupancyByClass = {};
+        for (const flightClass of Object.keys(capacityByClass)) {
+          occupancyByClass[flightClass] = {
+            booked: bookedByClass[flightClass],
+            capacity: capacityByClass[flightClass],
+            rate: capacityByClass[flightClass] > 0
+              ? Math.round((bookedByClass[flightClass] / capacityByClass[flightClass]) * 100)
+              : 0
+          };
+        }
+
         return {
           ...flight,
           booking_count: flight.booking_count || 0,
           total_revenue: parseFloat(flight.total_revenue || 0),
-          booked_seats: bookedSeats?.total || 0,
-          occupancy_rate: occupancyRate
+          booked_seats: bookedSeats,
+          occupancy_rate: occupancyRate,
+          occupancy_by_class: occupancyByClass,
+          current_fares: priceFromInventory(flight, inventory)
         };
       })
     );
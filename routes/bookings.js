@@ -1,6 +1,63 @@
 const express = require('express');
 const { query, queryOne } = require('../config/database');
 const { authenticate } = require('../middleware/auth');
+const {
+  CABIN_CLASSES,
+  normalizeSeatNumber,
+  getAircraftSeatMap,
+  lockFlightSeats,
+  validateSeatSelection
+} = require('../services/seatMap');
+const { getSeatInventory } = require('../services/availability');
+const { roundPrice, calculateFare } = require('../services/pricing');
+const {
+  priceLine,
+  summarizeLines,
+  getFlightPriceBreakdown,
+  appendLines,
+  applyDiscount,
+  removePassengerFromBreakdown,
+  getBookingBreakdown
+} = require('../services/priceBreakdown');
+const { resolveDisplayCurrency, displayBookingAmounts } = require('../services/currency');
+const {
+  getPassengerType,
+  countPassengerTypes,
+  seatedPassengers,
+  validatePassengerMix,
+  resolvePassengerTypes
+} = require('../services/passengerTypes');
+const {
+  getAncillaryCatalog,
+  priceAncillaryRequests,
+  attachAncillaries,
+  getBookingAncillaries,
+  cancelPassengerAncillaries
+} = require('../services/ancillaries');
+const { verifyQuote } = require('../services/quotes');
+const { snapshotBooking } = require('../services/bookingChanges');
+const { attachLocalTimes } = require('../services/timezones');
+const { findApplicablePromoCode, redeemPromoCode, releasePromoRedemptions } = require('../services/promoCodes');
+const {
+  pointsValue,
+  pointsForAmount,
+  redeemPoints,
+  releasePointsPayments,
+  reverseBookingPoints
+} = require('../services/loyalty');
+const {
+  PAYMENT_METHODS,
+  getPaymentProvider,
+  createBookingPayment,
+  createPointsPayment,
+  getAmountPaid,
+  applyPaymentOutcome,
+  refundBookingPayment,
+  processPendingRefunds
+} = require('../services/payments');
+const { SEAT_HOLD_MINUTES, isHoldExpired } = require('../services/holds');
+const { ACTIVE_AIRPORTS_SQL } = require('../services/airports');
+const { getFareRule, calculateCancellation } = require('../services/fareRules');
 
 const router = express.Router();
 
@@ -14,7 +71,15 @@ router.post('/create', async (req, res) => {
   try {
     await connection.beginTransaction();
 
-    const { flight_id, passengers, class: flightClass = 'economy' } = req.body;
+    const {
+      flight_id,
+      passengers,
+      class: flightClass = 'economy',
+      payment_method: paymentMethod = 'card',
+      quote_token: quoteToken,
+      promo_code: promoCode,
+      redeem_points: pointsToRedeem
+    } = req.body;
 
     if (!flight_id || !passengers || !Array.isArray(passengers) || passengers.length === 0) {
       await connection.rollback();
@@ -24,19 +89,49 @@ router.post('/create', async (req, res) => {
       });
     }
 
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Invalid payment method. Must be one of: ${PAYMENT_METHODS.join(', ')}`
+      });
+    }
+
+    if (!CABIN_CLASSES.includes(flightClass)) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Invalid class. Must be one of: ${CABIN_CLASSES.join(', ')}`
+      });
+    }
+
+    if (pointsToRedeem !== undefined && !(Number.isInteger(Number(pointsToRedeem)) && Number(pointsToRedeem) > 0)) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'redeem_points must be a positive whole number'
+      });
+    }
+
+    const display = await resolveDisplayCurrency(connection, req.query.currency);
+    if (display.error) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: display.error
+      });
+    }
+
     // Get flight details
     const [flightRows] = await connection.execute(
-      `SELECT f.*, a.capacity,
-        CASE 
-          WHEN ? = 'economy' THEN f.base_price
-          WHEN ? = 'business' THEN f.business_price
-          WHEN ? = 'first' THEN f.first_class_price
-          ELSE f.base_price
-        END as price
+      `SELECT f.*, a.capacity, a.economy_seats, a.business_seats, a.first_class_seats, a.seat_map,
+              dep.country as from_country, dep.timezone as from_timezone, arr.country as to_country
        FROM flights f
        INNER JOIN aircraft a ON f.aircraft_id = a.aircraft_id
-       WHERE f.flight_id = ? AND f.status IN ('scheduled', 'boarding')`,
-      [flightClass, flightClass, flightClass, flight_id]
+       INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
+       INNER JOIN airports arr ON f.to_airport_code = arr.airport_code
+       WHERE f.flight_id = ? AND f.status IN ('scheduled', 'boarding') AND ${ACTIVE_AIRPORTS_SQL}`,
+      [flight_id]
     );
 
     if (!flightRows || flightRows.length === 0) {
@@ -49,45 +144,192 @@ router.post('/create', async (req, res) => {
 
     const flightData = flightRows[0];
 
-    // Check available seats
-    const [bookedSeatsRows] = await connection.execute(
-      `SELECT COUNT(*) as booked_seats
-       FROM booking_passengers bp
-       INNER JOIN bookings b ON bp.booking_id = b.booking_id
-       WHERE b.flight_id = ? AND b.status != 'cancelled'`,
-      [flight_id]
-    );
+    // Adult, child or lap infant, by age on the day of travel
+    const { types: passengerTypes, mix: passengerMix, error: passengerError } = await resolvePassengerTypes(connection, {
+      userId: req.user.userId,
+      passengers,
+      travelDate: flightData.departure_datetime,
+      timeZone: flightData.from_timezone || undefined
+    });
+
+    if (passengerError) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: passengerError
+      });
+    }
+
+    if (passengers.some((passengerData, i) => passengerTypes[i] === 'infant' && passengerData.seat_number)) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Lap infants travel with an adult and cannot be assigned a seat'
+      });
+    }
+
+    // Serialize seat assignment for this flight until the transaction ends
+    await lockFlightSeats(connection, flight_id);
+
+    // Validate any seats chosen at booking time
+    const requestedSeats = passengers
+      .filter(passengerData => passengerData.seat_number)
+      .map(passengerData => passengerData.seat_number);
+
+    if (requestedSeats.length > 0) {
+      const seatError = await validateSeatSelection(connection, {
+        flightId: flight_id,
+        seatMap: getAircraftSeatMap(flightData),
+        seatNumbers: requestedSeats,
+        cabinClass: flightClass
+      });
+
+      if (seatError) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: seatError
+        });
+      }
+    }
 
-    const booked = bookedSeatsRows[0]?.booked_seats || 0;
-    const availableSeats = flightData.capacity - booked;
+    // Check available seats in the booked class; lap infants don't need one
+    const inventory = await getSeatInventory(connection, flightData);
+    const availableSeats = inventory.available[flightClass];
 
-    if (availableSeats < passengers.length) {
+    if (availableSeats < seatedPassengers(passengerMix)) {
       await connection.rollback();
       return res.status(400).json({
         success: false,
-        message: `Not enough seats available. Only ${availableSeats} seat(s) remaining.`
+        message: `Not enough ${flightClass} seats available. Only ${availableSeats} seat(s) remaining.`
+      });
+    }
+
+    // Honor a valid price quote; otherwise charge the current fare for the class
+    let breakdown;
+    let fare;
+
+    if (quoteToken) {
+      const { quote, error: quoteError } = verifyQuote(quoteToken, {
+        userId: req.user.userId,
+        flightId: flight_id,
+        flightClass,
+        passengers: passengerMix
+      });
+
+      if (quoteError) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: quoteError
+        });
+      }
+
+      fare = { quoted: true };
+      breakdown = {
+        currency: quote.currency,
+        lines: quote.lines,
+        ...summarizeLines(quote.lines)
+      };
+    } else {
+      fare = calculateFare(flightData, flightClass, {
+        booked: inventory.booked[flightClass],
+        capacity: inventory.capacity[flightClass]
+      });
+      breakdown = await getFlightPriceBreakdown(connection, flightData, {
+        fare,
+        flightClass,
+        passengers: passengerMix
+      });
+    }
+
+    // Take a promo code's discount off the base fare
+    let promo = null;
+    if (promoCode) {
+      const { promo: applicablePromo, error: promoError } = await findApplicablePromoCode(connection, {
+        code: promoCode,
+        userId: req.user.userId,
+        flight: flightData,
+        flightClass
       });
+
+      if (promoError) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: promoError
+        });
+      }
+
+      promo = applicablePromo;
+      breakdown = applyDiscount(breakdown, promo);
     }
 
-    // Calculate total amount
-    const totalAmount = parseFloat(flightData.price) * passengers.length;
+    // Extras chosen per passenger, priced for this route and class
+    const ancillaryRequests = [];
+    passengers.forEach((passengerData, index) => {
+      for (const item of passengerData.ancillaries || []) {
+        ancillaryRequests.push({ ...item, passengerKey: index });
+      }
+    });
+
+    let ancillaryItems = [];
+    if (ancillaryRequests.length > 0) {
+      const catalog = await getAncillaryCatalog(connection, flightData, flightClass);
+      const { items, error: ancillaryError } = priceAncillaryRequests(catalog, ancillaryRequests);
+
+      if (ancillaryError) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: ancillaryError
+        });
+      }
+      ancillaryItems = items;
+    }
 
     // Generate unique booking reference
     const bookingRef = 'BK' + Date.now().toString(36).toUpperCase() + Math.random().toString(36).substring(2, 6).toUpperCase();
 
-    // Create booking
+    // Create booking; it holds its seats as pending until payment succeeds
     const [bookingResult] = await connection.execute(
       `INSERT INTO bookings (
         booking_reference, user_id, flight_id, number_of_passengers, 
-        class, total_amount, status, payment_status
-      ) VALUES (?, ?, ?, ?, ?, ?, 'confirmed', 'paid')`,
-      [bookingRef, req.user.userId, flight_id, passengers.length, flightClass, totalAmount]
+        class, total_amount, currency, base_fare_amount, tax_amount, fee_amount, price_breakdown,
+        promo_code_id, discount_amount,
+        status, payment_status, payment_method, hold_expires_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', 'pending', ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+      [
+        bookingRef, req.user.userId, flight_id, passengers.length, flightClass, breakdown.total,
+        breakdown.currency, breakdown.base_fare, breakdown.taxes, breakdown.fees, JSON.stringify(breakdown),
+        promo ? promo.promo_code_id : null, roundPrice(-(breakdown.discounts || 0)),
+        paymentMethod, SEAT_HOLD_MINUTES
+      ]
     );
 
     const bookingId = bookingResult.insertId;
 
+    if (promo) {
+      const redeemed = await redeemPromoCode(connection, {
+        promo,
+        bookingId,
+        userId: req.user.userId,
+        discountAmount: roundPrice(-breakdown.discounts),
+        currency: breakdown.currency
+      });
+
+      if (!redeemed) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'This promo code has reached its usage limit'
+        });
+      }
+    }
+
     // Add passengers
-    for (const passengerData of passengers) {
+    const bookingPassengerIds = [];
+    for (const [index, passengerData] of passengers.entries()) {
       let passengerId;
 
       if (passengerData.passenger_id) {
@@ -113,10 +355,80 @@ router.post('/create', async (req, res) => {
       }
 
       // Link passenger to booking
+      const [bookingPassengerResult] = await connection.execute(
+        `INSERT INTO booking_passengers (booking_id, passenger_id, passenger_type, seat_number)
+         VALUES (?, ?, ?, ?)`,
+        [
+          bookingId,
+          passengerId,
+          passengerTypes[index],
+          passengerData.seat_number ? normalizeSeatNumber(passengerData.seat_number) : null
+        ]
+      );
+      bookingPassengerIds.push(bookingPassengerResult.insertId);
+    }
+
+    const ancillaryAmount = await attachAncillaries(connection, {
+      bookingId,
+      currency: breakdown.currency,
+      items: ancillaryItems.map(item => ({ ...item, booking_passenger_id: bookingPassengerIds[item.passengerKey] }))
+    });
+    const totalAmount = roundPrice(breakdown.total + ancillaryAmount);
+
+    // Loyalty points pay for part or all of the booking up front
+    let pointsPayment = null;
+    if (pointsToRedeem !== undefined) {
+      const points = Number(pointsToRedeem);
+
+      if (pointsValue(points) > totalAmount) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `At most ${pointsForAmount(totalAmount)} points can be used on this booking`
+        });
+      }
+
+      const redeemed = await redeemPoints(connection, {
+        userId: req.user.userId,
+        bookingId,
+        points,
+        description: `Points used for booking ${bookingRef}`
+      });
+
+      if (!redeemed) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Not enough loyalty points'
+        });
+      }
+
+      pointsPayment = await createPointsPayment(connection, { bookingId, amount: pointsValue(points) });
+
+      await connection.execute(
+        'UPDATE bookings SET points_redeemed = ? WHERE booking_id = ?',
+        [points, bookingId]
+      );
+    }
+
+    const amountDue = roundPrice(totalAmount - (pointsPayment ? pointsPayment.amount : 0));
+
+    // Open a payment intent for what's left to pay; a booking paid in full
+    // with points is confirmed straight away
+    let payment = null;
+    if (amountDue > 0) {
+      payment = await createBookingPayment(connection, {
+        bookingId,
+        bookingReference: bookingRef,
+        amount: amountDue,
+        paymentMethod
+      });
+    } else {
       await connection.execute(
-        `INSERT INTO booking_passengers (booking_id, passenger_id, seat_number)
-         VALUES (?, ?, ?)`,
-        [bookingId, passengerId, passengerData.seat_number || null]
+        `UPDATE bookings
+         SET status = 'confirmed', payment_status = 'paid', hold_expires_at = NULL
+         WHERE booking_id = ?`,
+        [bookingId]
       );
     }
 
@@ -139,10 +451,18 @@ router.post('/create', async (req, res) => {
       [bookingId]
     );
 
+    booking.ancillaries = await getBookingAncillaries(require('../config/database').pool, bookingId);
+
+    if (display.currency) {
+      booking.display = displayBookingAmounts(booking, breakdown, display.currency, display.rates);
+    }
+
     res.status(201).json({
       success: true,
-      message: 'Booking created successfully',
-      data: { booking }
+      message: payment
+        ? 'Booking created. Complete payment to confirm it.'
+        : 'Booking confirmed. Paid with loyalty points.',
+      data: { booking, payment, points_payment: pointsPayment, fare, price_breakdown: breakdown }
     });
   } catch (error) {
     await connection.rollback();
@@ -159,7 +479,15 @@ router.post('/create', async (req, res) => {
 // ========== GET USER BOOKINGS ==========
 router.get('/list', async (req, res) => {
   try {
-    const { status } = req.query;
+    const { status, currency } = req.query;
+
+    const display = await resolveDisplayCurrency(require('../config/database').pool, currency);
+    if (display.error) {
+      return res.status(400).json({
+        success: false,
+        message: display.error
+      });
+    }
 
     let sql = `
       SELECT 
@@ -171,6 +499,7 @@ router.get('/list', async (req, res) => {
         b.number_of_passengers,
         b.class,
         b.total_amount,
+        b.currency,
         b.status,
         b.payment_status,
         b.payment_method,
@@ -183,9 +512,11 @@ router.get('/list', async (req, res) => {
         dep.airport_code as from_code,
         dep.airport_name as from_name,
         dep.city as from_city,
+        dep.timezone as from_timezone,
         arr.airport_code as to_code,
         arr.airport_name as to_name,
-        arr.city as to_city
+        arr.city as to_city,
+        arr.timezone as to_timezone
       FROM bookings b
       INNER JOIN flights f ON b.flight_id = f.flight_id
       INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
@@ -204,6 +535,16 @@ router.get('/list', async (req, res) => {
 
     const bookings = await query(sql, params);
 
+    for (const booking of bookings || []) {
+      attachLocalTimes(booking);
+    }
+
+    if (display.currency) {
+      for (const booking of bookings || []) {
+        booking.display = displayBookingAmounts(booking, null, display.currency, display.rates);
+      }
+    }
+
     res.json({
       success: true,
       data: { bookings: bookings || [] }
@@ -229,6 +570,14 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    const display = await resolveDisplayCurrency(require('../config/database').pool, req.query.currency);
+    if (display.error) {
+      return res.status(400).json({
+        success: false,
+        message: display.error
+      });
+    }
+
     const booking = await queryOne(
       `SELECT 
         b.*,
@@ -239,9 +588,11 @@ router.get('/:id', async (req, res) => {
         dep.airport_code as from_code,
         dep.airport_name as from_name,
         dep.city as from_city,
+        dep.timezone as from_timezone,
         arr.airport_code as to_code,
         arr.airport_name as to_name,
-        arr.city as to_city
+        arr.city as to_city,
+        arr.timezone as to_timezone
        FROM bookings b
        INNER JOIN flights f ON b.flight_id = f.flight_id
        INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
@@ -257,6 +608,8 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    attachLocalTimes(booking);
+
     // Get passengers for this booking
     const passengers = await query(
       `SELECT 
@@ -266,6 +619,7 @@ router.get('/:id', async (req, res) => {
         p.date_of_birth,
         p.passport_number,
         p.nationality,
+        bp.passenger_type,
         bp.seat_number
        FROM booking_passengers bp
        INNER JOIN passengers p ON bp.passenger_id = p.passenger_id
@@ -275,6 +629,36 @@ router.get('/:id', async (req, res) => {
 
     booking.passengers = passengers || [];
 
+    // Flight changes made on this booking, oldest first
+    booking.changes = await query(
+      `SELECT 
+        bc.change_id,
+        bc.from_flight_id,
+        ff.flight_number as from_flight_number,
+        ff.departure_datetime as from_departure_datetime,
+        bc.to_flight_id,
+        tf.flight_number as to_flight_number,
+        tf.departure_datetime as to_departure_datetime,
+        bc.fare_difference,
+        bc.change_fee,
+        bc.amount_charged,
+        bc.amount_refunded,
+        bc.reverted_at,
+        bc.created_at
+       FROM booking_changes bc
+       INNER JOIN flights ff ON bc.from_flight_id = ff.flight_id
+       INNER JOIN flights tf ON bc.to_flight_id = tf.flight_id
+       WHERE bc.booking_id = ?
+       ORDER BY bc.created_at ASC`,
+      [bookingId]
+    );
+
+    booking.ancillaries = await getBookingAncillaries(require('../config/database').pool, bookingId);
+
+    if (display.currency) {
+      booking.display = displayBookingAmounts(booking, getBookingBreakdown(booking), display.currency, display.rates);
+    }
+
     res.json({
       success: true,
       data: { booking }
@@ -288,6 +672,125 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// ========== PAY FOR BOOKING ==========
+router.post('/:id/pay', async (req, res) => {
+  const connection = await require('../config/database').pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const bookingId = parseInt(req.params.id);
+    const { payment_method: paymentMethod, payment_details: paymentDetails = {} } = req.body;
+
+    if (isNaN(bookingId)) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    if (paymentMethod && !PAYMENT_METHODS.includes(paymentMethod)) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Invalid payment method. Must be one of: ${PAYMENT_METHODS.join(', ')}`
+      });
+    }
+
+    const [bookingRows] = await connection.execute(
+      'SELECT * FROM bookings WHERE booking_id = ? AND user_id = ? FOR UPDATE',
+      [bookingId, req.user.userId]
+    );
+
+    if (!bookingRows || bookingRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const bookingData = bookingRows[0];
+
+    if (bookingData.status !== 'pending') {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Booking is not awaiting payment. Current status: ${bookingData.status}`
+      });
+    }
+
+    if (isHoldExpired(bookingData)) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'The seat hold for this booking has expired. Please book again.'
+      });
+    }
+
+    // Whatever loyalty points didn't cover
+    const amountDue = roundPrice(parseFloat(bookingData.total_amount) - await getAmountPaid(connection, bookingId));
+
+    // Reuse the open intent unless the payment method or amount changed
+    const [paymentRows] = await connection.execute(
+      `SELECT * FROM payments
+       WHERE booking_id = ? AND status = 'pending' AND payment_method = ? AND amount = ?
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [bookingId, paymentMethod || bookingData.payment_method, amountDue]
+    );
+
+    let intentId = paymentRows[0]?.provider_intent_id;
+
+    if (!intentId) {
+      const payment = await createBookingPayment(connection, {
+        bookingId,
+        bookingReference: bookingData.booking_reference,
+        amount: amountDue,
+        paymentMethod: paymentMethod || bookingData.payment_method
+      });
+      intentId = payment.intent_id;
+    }
+
+    const result = await getPaymentProvider().confirmIntent(intentId, paymentDetails);
+    await applyPaymentOutcome(connection, { intentId, status: result.status });
+
+    await connection.commit();
+    await processPendingRefunds(bookingId);
+
+    if (result.status === 'failed') {
+      return res.status(402).json({
+        success: false,
+        message: 'Payment failed: ' + (result.failureReason || 'declined by provider')
+      });
+    }
+
+    if (result.status !== 'succeeded') {
+      return res.status(202).json({
+        success: true,
+        message: 'Payment is processing. The booking will be confirmed once it completes.',
+        data: { intent_id: intentId }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payment successful. Booking confirmed.',
+      data: { booking_id: bookingId, intent_id: intentId }
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Pay booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Payment failed: ' + error.message
+    });
+  } finally {
+    connection.release();
+  }
+});
+
 // ========== CANCEL BOOKING ==========
 router.post('/:id/cancel', async (req, res) => {
   const connection = await require('../config/database').pool.getConnection();
@@ -307,7 +810,11 @@ router.post('/:id/cancel', async (req, res) => {
 
     // Check if booking exists and belongs to user
     const [bookingRows] = await connection.execute(
-      'SELECT * FROM bookings WHERE booking_id = ? AND user_id = ?',
+      `SELECT b.*, f.departure_datetime
+       FROM bookings b
+       INNER JOIN flights f ON b.flight_id = f.flight_id
+       WHERE b.booking_id = ? AND b.user_id = ?
+       FOR UPDATE`,
       [bookingId, req.user.userId]
     );
 
@@ -338,17 +845,54 @@ router.post('/:id/cancel', async (req, res) => {
       });
     }
 
-    // Update booking status
+    if (new Date(bookingData.departure_datetime) <= new Date()) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot cancel a booking after the flight has departed'
+      });
+    }
+
+    // Apply the fare rules for the booked class; unpaid bookings have nothing to refund
+    const fareRule = await getFareRule(connection, bookingData.class);
+    const refund = calculateCancellation(fareRule, {
+      amountPaid: bookingData.payment_status === 'paid' ? bookingData.total_amount : 0,
+      departureDatetime: bookingData.departure_datetime
+    });
+
+    await refundBookingPayment(connection, bookingId, refund.refund_amount);
+
     await connection.execute(
-      'UPDATE bookings SET status = ?, payment_status = ?, updated_at = CURRENT_TIMESTAMP WHERE booking_id = ?',
-      ['cancelled', 'refunded', bookingId]
+      `UPDATE bookings
+       SET status = 'cancelled', payment_status = ?, cancellation_fee = ?, refund_amount = ?,
+           hold_expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE booking_id = ?`,
+      [
+        refund.refund_amount > 0 ? 'refunded' : bookingData.payment_status,
+        refund.cancellation_fee,
+        refund.refund_amount,
+        bookingId
+      ]
     );
 
+    // An unpaid booking gives back its promo code use and any points paid
+    await releasePromoRedemptions(connection, bookingId);
+    await releasePointsPayments(connection, bookingId);
+
     await connection.commit();
+    await processPendingRefunds(bookingId);
 
     res.json({
       success: true,
-      message: 'Booking cancelled successfully'
+      message: refund.refund_amount > 0
+        ? `Booking cancelled. ${refund.refund_amount.toFixed(2)} will be refunded.`
+        : refund.amount_paid > 0
+          ? 'Booking cancelled. This booking is not eligible for a refund.'
+          : 'Booking cancelled successfully',
+      data: {
+        booking_id: bookingId,
+        refund
+      }
     });
   } catch (error) {
     await connection.rollback();
@@ -362,48 +906,849 @@ router.post('/:id/cancel', async (req, res) => {
   }
 });
 
-// ========== UPDATE BOOKING STATUS ==========
-router.post('/:id/update-status', async (req, res) => {
+// ========== CANCEL SINGLE PASSENGER ==========
+router.post('/:id/passengers/:passengerId/cancel', async (req, res) => {
+  const connection = await require('../config/database').pool.getConnection();
+
   try {
-    const bookingId = parseInt(req.params.id);
-    const { status } = req.body;
+    await connection.beginTransaction();
 
-    if (isNaN(bookingId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid booking ID'
-      });
-    }
+    const bookingId = parseInt(req.params.id);
+    const passengerId = parseInt(req.params.passengerId);
 
-    if (!status || !['completed', 'missed', 'cancelled'].includes(status)) {
+    if (isNaN(bookingId) || isNaN(passengerId)) {
+      await connection.rollback();
       return res.status(400).json({
         success: false,
-        message: 'Valid status is required (completed, missed, or cancelled)'
+        message: 'Invalid booking or passenger ID'
       });
     }
 
-    // Verify booking belongs to user
-    const booking = await queryOne(
-      'SELECT * FROM bookings WHERE booking_id = ? AND user_id = ?',
+    const [bookingRows] = await connection.execute(
+      `SELECT b.*, f.departure_datetime
+       FROM bookings b
+       INNER JOIN flights f ON b.flight_id = f.flight_id
+       WHERE b.booking_id = ? AND b.user_id = ?
+       FOR UPDATE`,
       [bookingId, req.user.userId]
     );
 
-    if (!booking) {
+    if (!bookingRows || bookingRows.length === 0) {
+      await connection.rollback();
       return res.status(404).json({
         success: false,
         message: 'Booking not found'
       });
     }
 
-    // Update booking status
-    await query(
-      'UPDATE bookings SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE booking_id = ?',
-      [status, bookingId]
-    );
+    const bookingData = bookingRows[0];
+
+    if (!['pending', 'confirmed'].includes(bookingData.status)) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Passengers cannot be removed from a ${bookingData.status} booking`
+      });
+    }
+
+    if (new Date(bookingData.departure_datetime) <= new Date()) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot remove a passenger after the flight has departed'
+      });
+    }
+
+    const [passengerRows] = await connection.execute(
+      `SELECT booking_passenger_id, passenger_id, passenger_type, seat_number, check_in_status
+       FROM booking_passengers WHERE booking_id = ?`,
+      [bookingId]
+    );
+
+    const bookingPassenger = passengerRows.find(row => row.passenger_id === passengerId);
+
+    if (!bookingPassenger) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Passenger not found on this booking'
+      });
+    }
+
+    if (passengerRows.length === 1) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'This is the only passenger on the booking. Cancel the whole booking instead.'
+      });
+    }
+
+    // The passengers left behind must still satisfy the adult/infant rules
+    const remainingMixError = validatePassengerMix(countPassengerTypes(
+      passengerRows.filter(row => row !== bookingPassenger).map(row => row.passenger_type)
+    ));
+
+    if (remainingMixError) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Cannot remove this passenger: ${remainingMixError}`
+      });
+    }
+
+    if (bookingPassenger.check_in_status === 'checked_in') {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot remove a passenger who has already checked in. Undo their check-in first.'
+      });
+    }
+
+    // This passenger's share of the booking, refunded under the fare rules.
+    // Itemized bookings drop one of each per-passenger line; older bookings
+    // without a breakdown split the fare evenly. Their extras go with them.
+    const currentBreakdown = getBookingBreakdown(bookingData);
+    let passengerShare;
+    let newBreakdown = null;
+
+    if (currentBreakdown) {
+      ({ breakdown: newBreakdown, passengerShare } = removePassengerFromBreakdown(currentBreakdown, bookingPassenger.passenger_type));
+    } else {
+      const fareAmount = parseFloat(bookingData.total_amount) - parseFloat(bookingData.ancillary_amount || 0);
+      passengerShare = roundPrice(fareAmount / passengerRows.length);
+    }
+
+    passengerShare = roundPrice(passengerShare + await cancelPassengerAncillaries(connection, {
+      bookingId,
+      bookingPassengerId: bookingPassenger.booking_passenger_id
+    }));
+
+    const fareRule = await getFareRule(connection, bookingData.class);
+    const refund = calculateCancellation(fareRule, {
+      amountPaid: bookingData.payment_status === 'paid' ? passengerShare : 0,
+      departureDatetime: bookingData.departure_datetime
+    });
+
+    await refundBookingPayment(connection, bookingId, refund.refund_amount);
+
+    // Removing the row frees the passenger's seat
+    await connection.execute(
+      'DELETE FROM booking_passengers WHERE booking_passenger_id = ?',
+      [bookingPassenger.booking_passenger_id]
+    );
+
+    await connection.execute(
+      `UPDATE bookings
+       SET number_of_passengers = ?, total_amount = ?,
+           cancellation_fee = COALESCE(cancellation_fee, 0) + ?,
+           refund_amount = COALESCE(refund_amount, 0) + ?,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE booking_id = ?`,
+      [
+        passengerRows.length - 1,
+        roundPrice(parseFloat(bookingData.total_amount) - passengerShare),
+        refund.cancellation_fee,
+        refund.refund_amount,
+        bookingId
+      ]
+    );
+
+    if (newBreakdown) {
+      await connection.execute(
+        `UPDATE bookings
+         SET base_fare_amount = ?, tax_amount = ?, fee_amount = ?, discount_amount = ?, price_breakdown = ?
+         WHERE booking_id = ?`,
+        [
+          newBreakdown.base_fare,
+          newBreakdown.taxes,
+          newBreakdown.fees,
+          roundPrice(-(newBreakdown.discounts || 0)),
+          JSON.stringify(newBreakdown),
+          bookingId
+        ]
+      );
+    }
+
+    await connection.commit();
+    await processPendingRefunds(bookingId);
+
+    res.json({
+      success: true,
+      message: 'Passenger removed from booking',
+      data: {
+        booking_id: bookingId,
+        passenger_id: passengerId,
+        released_seat: bookingPassenger.seat_number,
+        number_of_passengers: passengerRows.length - 1,
+        total_amount: roundPrice(parseFloat(bookingData.total_amount) - passengerShare),
+        passenger_share: passengerShare,
+        price_breakdown: newBreakdown,
+        refund
+      }
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Cancel passenger error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove passenger: ' + error.message
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// ========== CHANGE BOOKING FLIGHT ==========
+
+// The change is committed with its payment recorded as pending, then the
+// payment is confirmed with the provider. If it fails, now or later through
+// the webhook, applyPaymentOutcome undoes the change.
+router.post('/:id/change', async (req, res) => {
+  const connection = await require('../config/database').pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const bookingId = parseInt(req.params.id);
+    const { flight_id: targetFlightId, seat_numbers: seatNumbers, payment_details: paymentDetails = {} } = req.body;
+
+    if (isNaN(bookingId) || !targetFlightId) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Valid booking ID and target flight_id are required'
+      });
+    }
+
+    const [bookingRows] = await connection.execute(
+      `SELECT b.*, f.departure_datetime, f.from_airport_code, f.to_airport_code
+       FROM bookings b
+       INNER JOIN flights f ON b.flight_id = f.flight_id
+       WHERE b.booking_id = ? AND b.user_id = ?
+       FOR UPDATE`,
+      [bookingId, req.user.userId]
+    );
+
+    if (!bookingRows || bookingRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const bookingData = bookingRows[0];
+
+    if (bookingData.status !== 'confirmed') {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Only confirmed bookings can be changed. Current status: ${bookingData.status}`
+      });
+    }
+
+    if (new Date(bookingData.departure_datetime) <= new Date()) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change a booking after the flight has departed'
+      });
+    }
+
+    if (parseInt(targetFlightId) === bookingData.flight_id) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Booking is already on this flight'
+      });
+    }
+
+    // One unpaid change at a time, so a failed payment can always be undone
+    const [pendingChangeRows] = await connection.execute(
+      `SELECT payment_id FROM payments
+       WHERE booking_id = ? AND booking_change_id IS NOT NULL AND status = 'pending'`,
+      [bookingId]
+    );
+
+    if (pendingChangeRows.length > 0) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'A previous change to this booking is still awaiting payment'
+      });
+    }
+
+    const [checkInRows] = await connection.execute(
+      'SELECT check_in_id FROM check_ins WHERE booking_id = ?',
+      [bookingId]
+    );
+
+    if (checkInRows.length > 0) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change a booking that has already been checked in'
+      });
+    }
+
+    // Target flight must be bookable and on the same route
+    const [flightRows] = await connection.execute(
+      `SELECT f.*, a.capacity, a.economy_seats, a.business_seats, a.first_class_seats, a.seat_map,
+              dep.country as from_country, dep.timezone as from_timezone, arr.country as to_country
+       FROM flights f
+       INNER JOIN aircraft a ON f.aircraft_id = a.aircraft_id
+       INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
+       INNER JOIN airports arr ON f.to_airport_code = arr.airport_code
+       WHERE f.flight_id = ? AND f.status IN ('scheduled', 'boarding') AND f.departure_datetime > NOW()
+         AND ${ACTIVE_AIRPORTS_SQL}`,
+      [targetFlightId]
+    );
+
+    if (!flightRows || flightRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Target flight not found or not available'
+      });
+    }
+
+    const targetFlight = flightRows[0];
+
+    if (targetFlight.from_airport_code !== bookingData.from_airport_code ||
+        targetFlight.to_airport_code !== bookingData.to_airport_code) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Bookings can only be changed to a flight on the same route'
+      });
+    }
+
+    const [passengerRows] = await connection.execute(
+      `SELECT bp.booking_passenger_id, bp.passenger_type, bp.seat_number, p.date_of_birth
+       FROM booking_passengers bp
+       INNER JOIN passengers p ON bp.passenger_id = p.passenger_id
+       WHERE bp.booking_id = ?
+       ORDER BY bp.booking_passenger_id`,
+      [bookingId]
+    );
+
+    // Passenger types follow each traveller's age on the new travel date
+    const passengerTypes = passengerRows.map(row =>
+      getPassengerType(row.date_of_birth, targetFlight.departure_datetime, targetFlight.from_timezone || undefined)
+    );
+    const passengerMix = countPassengerTypes(passengerTypes);
+    const passengerMixError = validatePassengerMix(passengerMix);
+
+    if (passengerMixError) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: passengerMixError
+      });
+    }
+
+    const seatedRows = passengerRows.filter((row, i) => passengerTypes[i] !== 'infant');
+
+    // Check seats on the target flight
+    await lockFlightSeats(connection, targetFlight.flight_id);
+
+    const inventory = await getSeatInventory(connection, targetFlight);
+    const availableByClass = inventory.available;
+    if (availableByClass[bookingData.class] < seatedRows.length) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Not enough ${bookingData.class} seats on the target flight. Only ${availableByClass[bookingData.class]} seat(s) remaining.`
+      });
+    }
+
+    if (seatNumbers) {
+      if (!Array.isArray(seatNumbers) || seatNumbers.length !== seatedRows.length) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Provide one seat number per seated passenger (${seatedRows.length})`
+        });
+      }
+
+      const seatError = await validateSeatSelection(connection, {
+        flightId: targetFlight.flight_id,
+        seatMap: getAircraftSeatMap(targetFlight),
+        seatNumbers,
+        cabinClass: bookingData.class
+      });
+
+      if (seatError) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: seatError
+        });
+      }
+    }
+
+    // Fare difference plus the change fee from the fare rules. A cheaper
+    // target fare is only credited back on refundable fares.
+    const fareRule = await getFareRule(connection, bookingData.class);
+    // Extras stay on the booking unchanged; only the fare is repriced
+    const ancillaryAmount = parseFloat(bookingData.ancillary_amount || 0);
+    const currentFare = roundPrice(parseFloat(bookingData.total_amount) - ancillaryAmount);
+    const targetFare = calculateFare(targetFlight, bookingData.class, {
+      booked: inventory.booked[bookingData.class],
+      capacity: inventory.capacity[bookingData.class]
+    });
+    let targetBreakdown = await getFlightPriceBreakdown(connection, targetFlight, {
+      fare: targetFare,
+      flightClass: bookingData.class,
+      passengers: passengerMix
+    });
+
+    // A promo code redeemed at booking keeps applying on the new flight
+    if (bookingData.promo_code_id) {
+      const [promoRows] = await connection.execute(
+        'SELECT * FROM promo_codes WHERE promo_code_id = ?',
+        [bookingData.promo_code_id]
+      );
+      if (promoRows.length > 0) {
+        targetBreakdown = applyDiscount(targetBreakdown, promoRows[0]);
+      }
+    }
+
+    const newFare = targetBreakdown.total;
+    const fareDifference = roundPrice(newFare - currentFare);
+    // The change fee is per seat; lap infants don't pay it
+    const changeFee = roundPrice(fareRule.change_fee * seatedRows.length);
+    const creditedDifference = fareDifference < 0 && !fareRule.refundable ? 0 : fareDifference;
+    const netAmount = roundPrice(creditedDifference + changeFee);
+    const amountDue = Math.max(0, netAmount);
+    const amountRefunded = Math.max(0, -netAmount);
+
+    // The booking's itemized price after the change: the new flight's fare,
+    // taxes and fees, the change fee, and any difference kept on a
+    // non-refundable fare
+    const changeLines = [];
+    if (changeFee > 0) {
+      changeLines.push(priceLine('fee', 'CHG', 'Change fee', fareRule.change_fee, seatedRows.length));
+    }
+    if (creditedDifference !== fareDifference) {
+      changeLines.push(priceLine('fare', 'RETAINED', 'Non-refundable fare retained', -fareDifference, 1, false));
+    }
+    const newBreakdown = appendLines(targetBreakdown, changeLines);
+
+    if (amountRefunded > 0) {
+      await refundBookingPayment(connection, bookingId, amountRefunded);
+    }
+
+    // Move the booking and all of its passengers in one go
+    await connection.execute(
+      `UPDATE bookings
+       SET flight_id = ?, total_amount = ?, currency = ?, base_fare_amount = ?, tax_amount = ?,
+           fee_amount = ?, discount_amount = ?, price_breakdown = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE booking_id = ?`,
+      [
+        targetFlight.flight_id,
+        roundPrice(currentFare + amountDue - amountRefunded + ancillaryAmount),
+        newBreakdown.currency,
+        newBreakdown.base_fare,
+        newBreakdown.taxes,
+        newBreakdown.fees,
+        roundPrice(-newBreakdown.discounts),
+        JSON.stringify(newBreakdown),
+        bookingId
+      ]
+    );
+
+    for (let i = 0; i < passengerRows.length; i++) {
+      const seatIndex = seatedRows.indexOf(passengerRows[i]);
+      const seatNumber = seatNumbers && seatIndex !== -1 ? normalizeSeatNumber(seatNumbers[seatIndex]) : null;
+
+      await connection.execute(
+        'UPDATE booking_passengers SET passenger_type = ?, seat_number = ? WHERE booking_passenger_id = ?',
+        [passengerTypes[i], seatNumber, passengerRows[i].booking_passenger_id]
+      );
+    }
+
+    const [changeResult] = await connection.execute(
+      `INSERT INTO booking_changes (
+        booking_id, from_flight_id, to_flight_id, fare_difference, change_fee,
+        amount_charged, amount_refunded, previous_booking, changed_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        bookingId,
+        bookingData.flight_id,
+        targetFlight.flight_id,
+        fareDifference,
+        changeFee,
+        amountDue,
+        amountRefunded,
+        JSON.stringify(snapshotBooking(bookingData, passengerRows)),
+        req.user.userId
+      ]
+    );
+
+    let payment = null;
+    if (amountDue > 0) {
+      payment = await createBookingPayment(connection, {
+        bookingId,
+        bookingReference: bookingData.booking_reference,
+        amount: amountDue,
+        paymentMethod: bookingData.payment_method || 'card',
+        bookingChangeId: changeResult.insertId
+      });
+    }
+
+    await connection.commit();
+    await processPendingRefunds(bookingId);
+
+    let paymentPending = false;
+    if (payment) {
+      let result;
+      try {
+        result = await getPaymentProvider().confirmIntent(payment.intent_id, paymentDetails);
+      } catch (error) {
+        result = { status: 'failed', failureReason: error.message };
+      }
+
+      await connection.beginTransaction();
+      await connection.execute('SELECT booking_id FROM bookings WHERE booking_id = ? FOR UPDATE', [bookingId]);
+      await applyPaymentOutcome(connection, { intentId: payment.intent_id, status: result.status });
+      await connection.commit();
+
+      if (result.status === 'failed') {
+        return res.status(402).json({
+          success: false,
+          message: 'Payment for the change failed: ' + (result.failureReason || 'declined by provider')
+        });
+      }
+
+      paymentPending = result.status !== 'succeeded';
+    }
+
+    res.status(paymentPending ? 202 : 200).json({
+      success: true,
+      message: paymentPending
+        ? 'Booking changed. Payment for the change is processing.'
+        : 'Booking changed successfully',
+      data: {
+        booking_id: bookingId,
+        change: {
+          from_flight_id: bookingData.flight_id,
+          to_flight_id: targetFlight.flight_id,
+          previous_fare: currentFare,
+          new_fare: newFare,
+          fare_difference: fareDifference,
+          change_fee: changeFee,
+          amount_charged: amountDue,
+          amount_refunded: amountRefunded
+        },
+        price_breakdown: newBreakdown
+      }
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Change booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change booking: ' + error.message
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// ========== BOOKING ANCILLARIES ==========
+
+// Extras attached to a booking, plus what can still be added
+router.get('/:id/ancillaries', async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.id);
+
+    if (isNaN(bookingId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    const booking = await queryOne(
+      `SELECT b.booking_id, b.class, b.ancillary_amount, b.currency, f.from_airport_code, f.to_airport_code
+       FROM bookings b
+       INNER JOIN flights f ON b.flight_id = f.flight_id
+       WHERE b.booking_id = ? AND b.user_id = ?`,
+      [bookingId, req.user.userId]
+    );
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const pool = require('../config/database').pool;
+
+    res.json({
+      success: true,
+      data: {
+        booking_id: bookingId,
+        ancillary_amount: parseFloat(booking.ancillary_amount),
+        currency: booking.currency,
+        ancillaries: await getBookingAncillaries(pool, bookingId),
+        available: await getAncillaryCatalog(pool, booking, booking.class)
+      }
+    });
+  } catch (error) {
+    console.error('Get booking ancillaries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get booking ancillaries: ' + error.message
+    });
+  }
+});
+
+// Add extras to passengers on an existing booking. Paid bookings are
+// charged for them straight away; pending bookings add them to the amount due.
+// The charge is recorded and committed with the extras before the provider
+// is called. If it fails, now or later through the webhook,
+// applyPaymentOutcome takes the extras back.
+router.post('/:id/ancillaries', async (req, res) => {
+  const connection = await require('../config/database').pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const bookingId = parseInt(req.params.id);
+    const { items, payment_details: paymentDetails = {} } = req.body;
+
+    if (isNaN(bookingId) || !Array.isArray(items) || items.length === 0) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Valid booking ID and a list of items are required'
+      });
+    }
+
+    const [bookingRows] = await connection.execute(
+      `SELECT b.*, f.departure_datetime, f.from_airport_code, f.to_airport_code
+       FROM bookings b
+       INNER JOIN flights f ON b.flight_id = f.flight_id
+       WHERE b.booking_id = ? AND b.user_id = ?
+       FOR UPDATE`,
+      [bookingId, req.user.userId]
+    );
+
+    if (!bookingRows || bookingRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const bookingData = bookingRows[0];
+
+    if (!['pending', 'confirmed'].includes(bookingData.status) || isHoldExpired(bookingData)) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Extras can only be added to pending or confirmed bookings'
+      });
+    }
+
+    if (new Date(bookingData.departure_datetime) <= new Date()) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot add extras after the flight has departed'
+      });
+    }
+
+    const [passengerRows] = await connection.execute(
+      'SELECT booking_passenger_id, passenger_id FROM booking_passengers WHERE booking_id = ?',
+      [bookingId]
+    );
+
+    const requests = [];
+    for (const item of items) {
+      const bookingPassenger = passengerRows.find(row => row.passenger_id === parseInt(item.passenger_id));
+      if (!bookingPassenger) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Passenger ${item.passenger_id} is not on this booking`
+        });
+      }
+      requests.push({ ...item, passengerKey: bookingPassenger.booking_passenger_id });
+    }
+
+    // Count what each passenger already has towards the per-passenger limits
+    const [existingRows] = await connection.execute(
+      `SELECT booking_passenger_id, ancillary_id, SUM(quantity) as quantity
+       FROM booking_ancillaries
+       WHERE booking_id = ? AND status = 'active'
+       GROUP BY booking_passenger_id, ancillary_id`,
+      [bookingId]
+    );
+
+    const existing = {};
+    for (const row of existingRows) {
+      existing[row.booking_passenger_id] = existing[row.booking_passenger_id] || {};
+      existing[row.booking_passenger_id][row.ancillary_id] = parseInt(row.quantity);
+    }
+
+    const catalog = await getAncillaryCatalog(connection, bookingData, bookingData.class);
+    const { items: pricedItems, error: ancillaryError } = priceAncillaryRequests(catalog, requests, existing);
+
+    if (ancillaryError) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: ancillaryError
+      });
+    }
+
+    const amount = roundPrice(pricedItems.reduce((sum, item) => sum + item.total_price, 0));
+    let amountCharged = 0;
+
+    let payment = null;
+    if (bookingData.payment_status === 'paid' && amount > 0) {
+      payment = await createBookingPayment(connection, {
+        bookingId,
+        bookingReference: bookingData.booking_reference,
+        amount,
+        paymentMethod: bookingData.payment_method || 'card'
+      });
+    }
+
+    await attachAncillaries(connection, {
+      bookingId,
+      currency: bookingData.currency,
+      items: pricedItems.map(item => ({ ...item, booking_passenger_id: item.passengerKey })),
+      paymentId: payment ? payment.payment_id : null
+    });
+
+    await connection.commit();
+
+    if (payment) {
+      let result;
+      try {
+        result = await getPaymentProvider().confirmIntent(payment.intent_id, paymentDetails);
+      } catch (error) {
+        result = { status: 'failed', failureReason: error.message };
+      }
+
+      await connection.beginTransaction();
+      await connection.execute('SELECT booking_id FROM bookings WHERE booking_id = ? FOR UPDATE', [bookingId]);
+      await applyPaymentOutcome(connection, { intentId: payment.intent_id, status: result.status });
+      await connection.commit();
+      await processPendingRefunds(bookingId);
+
+      if (result.status === 'failed') {
+        return res.status(402).json({
+          success: false,
+          message: 'Payment for the extras failed: ' + (result.failureReason || 'declined by provider')
+        });
+      }
+
+      if (result.status !== 'succeeded') {
+        return res.status(202).json({
+          success: true,
+          message: 'Payment for the extras is processing.',
+          data: { booking_id: bookingId, intent_id: payment.intent_id }
+        });
+      }
+
+      amountCharged = amount;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Extras added to booking',
+      data: {
+        booking_id: bookingId,
+        amount,
+        amount_charged: amountCharged,
+        total_amount: roundPrice(parseFloat(bookingData.total_amount) + amount),
+        ancillaries: await getBookingAncillaries(require('../config/database').pool, bookingId)
+      }
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Add booking ancillaries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add extras: ' + error.message
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// ========== UPDATE BOOKING STATUS ==========
+router.post('/:id/update-status', async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.id);
+    const { status } = req.body;
+
+    if (isNaN(bookingId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    // Cancelling refunds the fare and releases promo codes and points, which
+    // only the cancel route does
+    if (status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Use POST /api/bookings/:id/cancel to cancel a booking'
+      });
+    }
+
+    if (!status || !['completed', 'missed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid status is required (completed or missed)'
+      });
+    }
+
+    // Verify booking belongs to user
+    const booking = await queryOne(
+      'SELECT * FROM bookings WHERE booking_id = ? AND user_id = ?',
+      [bookingId, req.user.userId]
+    );
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cancelled bookings cannot be updated'
+      });
+    }
+
+    // Update booking status. Loyalty points are only earned when an admin
+    // completes the trip, not here.
+    await query(
+      'UPDATE bookings SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE booking_id = ?',
+      [status, bookingId]
+    );
+
+    // Points earned on a completed trip go back when it stops being one
+    const pointsReversed = booking.status === 'completed' && status !== 'completed'
+      ? await reverseBookingPoints(require('../config/database').pool, bookingId)
+      : 0;
 
     res.json({
       success: true,
-      message: 'Booking status updated successfully'
+      message: 'Booking status updated successfully',
+      data: { loyalty: { points_reversed: pointsReversed } }
     });
   } catch (error) {
     console.error('Update booking status error:', error);
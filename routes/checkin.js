@@ -2,6 +2,37 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { query, queryOne } = require('../config/database');
 const { authenticate } = require('../middleware/auth');
+const {
+  normalizeSeatNumber,
+  getAircraftSeatMap,
+  lockFlightSeats,
+  getOccupiedSeats,
+  validateSeatSelection,
+  assignSeats
+} = require('../services/seatMap');
+const { toLocalIso, attachLocalTimes } = require('../services/timezones');
+const {
+  issueBoardingPasses,
+  getBoardingPasses,
+  renderBarcodePng,
+  renderBoardingPassesPdf
+} = require('../services/boardingPasses');
+const {
+  boardingClosesAt,
+  getCheckInRules,
+  getCheckInWindow,
+  describeCheckInWindow,
+  checkInWindowError,
+  checkInfantEscort,
+  getPassengerCheckIns,
+  setPassengerCheckInStatus,
+  removeCheckInIfEmpty
+} = require('../services/checkIn');
+const {
+  ISSUING_COUNTRY_PATTERN,
+  requiresTravelDocuments,
+  checkTravelDocument
+} = require('../services/travelDocuments');
 
 const router = express.Router();
 
@@ -53,9 +84,13 @@ router.post('/search', [
         dep.airport_code as from_code,
         dep.airport_name as from_name,
         dep.city as from_city,
+        dep.country as from_country,
+        dep.timezone as from_timezone,
         arr.airport_code as to_code,
         arr.airport_name as to_name,
-        arr.city as to_city
+        arr.city as to_city,
+        arr.country as to_country,
+        arr.timezone as to_timezone
        FROM bookings b
        INNER JOIN flights f ON b.flight_id = f.flight_id
        INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
@@ -103,38 +138,36 @@ router.post('/search', [
       });
     }
 
-    // Check if already checked in
-    const existingCheckIn = await queryOne(
-      'SELECT check_in_id, status FROM check_ins WHERE booking_id = ?',
+    // Check if everyone is already checked in
+    const remaining = await queryOne(
+      `SELECT COUNT(*) as total FROM booking_passengers
+       WHERE booking_id = ? AND check_in_status != 'checked_in'`,
       [booking.booking_id]
     );
 
-    if (existingCheckIn) {
-      if (existingCheckIn.status === 'completed') {
-        return res.status(400).json({
-          success: false,
-          message: 'Already checked in',
-          data: { booking, alreadyCheckedIn: true }
-        });
-      }
-    }
-
-    // Check if check-in window is open (typically 24 hours before departure)
-    const departureTime = new Date(booking.departure_datetime);
-    const now = new Date();
-    const hoursUntilDeparture = (departureTime - now) / (1000 * 60 * 60);
-
-    if (hoursUntilDeparture < 0) {
+    if (remaining.total === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Flight has already departed'
+        message: 'Already checked in',
+        data: { booking, alreadyCheckedIn: true }
       });
     }
 
-    if (hoursUntilDeparture > 24) {
+    attachLocalTimes(booking);
+
+    // Check the check-in window for the route (open/close times before
+    // departure). Departure is a UTC instant, so the window is the same in
+    // every zone.
+    const checkInRules = await getCheckInRules(require('../config/database').pool, booking.from_code, booking.to_code);
+    const checkInWindow = getCheckInWindow(booking.departure_datetime, checkInRules);
+    booking.check_in_window = describeCheckInWindow(checkInWindow, checkInRules, booking.from_timezone);
+
+    const windowError = checkInWindowError(checkInWindow);
+    if (windowError) {
       return res.status(400).json({
         success: false,
-        message: `Check-in opens 24 hours before departure. Check-in will be available ${Math.ceil(hoursUntilDeparture - 24)} hours from now.`
+        message: windowError,
+        data: { check_in_window: booking.check_in_window }
       });
     }
 
@@ -146,9 +179,14 @@ router.post('/search', [
         p.last_name,
         p.date_of_birth,
         p.passport_number,
+        p.passport_issuing_country,
+        p.passport_expiry_date,
         p.nationality,
+        bp.passenger_type,
         bp.seat_number,
-        bp.booking_passenger_id
+        bp.booking_passenger_id,
+        bp.check_in_status,
+        bp.checked_in_at
        FROM booking_passengers bp
        INNER JOIN passengers p ON bp.passenger_id = p.passenger_id
        WHERE bp.booking_id = ?
@@ -158,6 +196,14 @@ router.post('/search', [
 
     booking.passengers = passengers || [];
 
+    // Flights between countries need passport details before check-in
+    booking.travel_documents_required = requiresTravelDocuments(booking);
+    for (const passenger of booking.passengers) {
+      passenger.travel_document_problems = booking.travel_documents_required
+        ? checkTravelDocument(passenger, booking)
+        : [];
+    }
+
     res.json({
       success: true,
       data: { booking }
@@ -176,12 +222,15 @@ router.post('/confirm', [
   body('booking_id')
     .notEmpty().withMessage('Booking ID is required')
     .isInt({ min: 1 }).withMessage('Booking ID must be a positive integer'),
+  body('passenger_ids')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Passenger IDs must be a non-empty array'),
+  body('passenger_ids.*')
+    .isInt({ min: 1 }).withMessage('Each passenger ID must be a positive integer'),
   body('seat_numbers')
-    .isArray({ min: 1 }).withMessage('At least one seat number is required')
+    .optional()
+    .isArray().withMessage('Seat numbers must be an array')
     .custom((value) => {
-      if (!Array.isArray(value) || value.length === 0) {
-        throw new Error('Seat numbers must be an array with at least one element');
-      }
       for (const seat of value) {
         if (typeof seat !== 'string' || seat.trim().length === 0) {
           throw new Error('Each seat number must be a non-empty string');
@@ -209,7 +258,7 @@ router.post('/confirm', [
 
     await connection.beginTransaction();
 
-    const { booking_id, seat_numbers, gate_number } = req.body;
+    const { booking_id, passenger_ids, seat_numbers, gate_number } = req.body;
     const bookingId = parseInt(booking_id);
 
     // Verify booking exists and belongs to user
@@ -228,23 +277,55 @@ router.post('/confirm', [
 
     const bookingData = bookingRows[0];
 
-    // Check if already checked in
-    const [existingCheckInRows] = await connection.execute(
-      'SELECT * FROM check_ins WHERE booking_id = ?',
-      [bookingId]
-    );
+    // Passengers to check in: the ones asked for, or everyone not checked in yet
+    const bookingPassengers = await getPassengerCheckIns(connection, bookingId);
+    const requestedIds = passenger_ids ? passenger_ids.map(id => parseInt(id)) : null;
+    const selected = requestedIds
+      ? bookingPassengers.filter(passenger => requestedIds.includes(passenger.passenger_id))
+      : bookingPassengers.filter(passenger => passenger.check_in_status !== 'checked_in');
 
-    if (existingCheckInRows && existingCheckInRows.length > 0) {
+    if (requestedIds && selected.length !== new Set(requestedIds).size) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'One or more passengers are not on this booking'
+      });
+    }
+
+    const alreadyCheckedIn = selected.filter(passenger => passenger.check_in_status === 'checked_in');
+    if (selected.length === 0 || alreadyCheckedIn.length > 0) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: selected.length === 0
+          ? 'Already checked in'
+          : `Already checked in: ${alreadyCheckedIn.map(passenger => `${passenger.first_name} ${passenger.last_name}`).join(', ')}`
+      });
+    }
+
+    const escortError = checkInfantEscort(bookingPassengers.map(passenger => (
+      selected.includes(passenger) ? { ...passenger, check_in_status: 'checked_in' } : passenger
+    )));
+
+    if (escortError) {
       await connection.rollback();
       return res.status(400).json({
         success: false,
-        message: 'Already checked in'
+        message: escortError
       });
     }
 
     // Verify check-in window
     const [flightRows] = await connection.execute(
-      'SELECT departure_datetime FROM flights WHERE flight_id = ?',
+      `SELECT f.departure_datetime, f.arrival_datetime, f.from_airport_code, f.to_airport_code,
+              a.capacity, a.economy_seats, a.business_seats, a.first_class_seats, a.seat_map,
+              dep.country as from_country, dep.timezone as from_timezone,
+              arr.country as to_country, arr.timezone as to_timezone
+       FROM flights f
+       INNER JOIN aircraft a ON f.aircraft_id = a.aircraft_id
+       INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
+       INNER JOIN airports arr ON f.to_airport_code = arr.airport_code
+       WHERE f.flight_id = ?`,
       [bookingData.flight_id]
     );
 
@@ -256,58 +337,207 @@ router.post('/confirm', [
       });
     }
 
-    const departureTime = new Date(flightRows[0].departure_datetime);
-    const now = new Date();
-    const hoursUntilDeparture = (departureTime - now) / (1000 * 60 * 60);
+    // Same window and boarding time as /search
+    const checkInRules = await getCheckInRules(connection, flightRows[0].from_airport_code, flightRows[0].to_airport_code);
+    const checkInWindow = getCheckInWindow(flightRows[0].departure_datetime, checkInRules);
 
-    if (hoursUntilDeparture < 0) {
+    const windowError = checkInWindowError(checkInWindow);
+    if (windowError) {
       await connection.rollback();
       return res.status(400).json({
         success: false,
-        message: 'Flight has already departed'
+        message: windowError,
+        data: { check_in_window: describeCheckInWindow(checkInWindow, checkInRules, flightRows[0].from_timezone) }
       });
     }
 
-    if (hoursUntilDeparture > 24) {
+    const boardingTime = checkInWindow.boarding_time;
+
+    // The selected passengers who need a seat (lap infants sit with an
+    // adult), in booking order
+    const passengerRows = selected.filter(passenger => passenger.passenger_type !== 'infant');
+
+    // Flights between countries need valid passport details for everyone
+    // checking in; the others on the booking can check in without them
+    if (requiresTravelDocuments(flightRows[0])) {
+      const documentProblems = selected
+        .map(passenger => ({
+          passenger_id: passenger.passenger_id,
+          name: `${passenger.first_name} ${passenger.last_name}`,
+          problems: checkTravelDocument(passenger, flightRows[0])
+        }))
+        .filter(passenger => passenger.problems.length > 0);
+
+      if (documentProblems.length > 0) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Travel documents are missing or invalid for: ' +
+            documentProblems.map(passenger => `${passenger.name} (${passenger.problems.join(', ')})`).join('; '),
+          data: { travel_document_problems: documentProblems }
+        });
+      }
+    }
+
+    await lockFlightSeats(connection, bookingData.flight_id);
+    const seatMap = getAircraftSeatMap(flightRows[0]);
+
+    // Without seat numbers, passengers keep the seats chosen at booking and
+    // the rest are seated by the server
+    let seatNumbers = seat_numbers;
+    const autoAssigned = !seat_numbers;
+    const exitRows = new Set(seatMap.exit_rows || []);
+    const seatRow = seatNumber => parseInt(seatNumber);
+
+    if (autoAssigned) {
+      const partySeats = bookingPassengers
+        .filter(passenger => passenger.seat_number)
+        .map(passenger => normalizeSeatNumber(passenger.seat_number));
+      const unseated = passengerRows.filter(passenger => !passenger.seat_number);
+
+      // Children, and an adult for each lap infant not already sitting with
+      // an adult outside the exit rows, stay out of exit rows
+      const infants = bookingPassengers.filter(passenger => passenger.passenger_type === 'infant').length;
+      const seatedEscorts = bookingPassengers.filter(passenger => (
+        passenger.passenger_type === 'adult' && passenger.seat_number && !exitRows.has(seatRow(passenger.seat_number))
+      )).length;
+      let escortsNeeded = Math.max(0, infants - seatedEscorts);
+      const restricted = unseated.map(passenger => {
+        if (passenger.passenger_type === 'child') return true;
+        if (passenger.passenger_type === 'adult' && escortsNeeded > 0) {
+          escortsNeeded--;
+          return true;
+        }
+        return false;
+      });
+
+      let assigned = [];
+      if (unseated.length > 0) {
+        const occupiedSeats = await getOccupiedSeats(connection, bookingData.flight_id, bookingId);
+        partySeats.forEach(seat => occupiedSeats.add(seat));
+
+        const assignment = assignSeats({
+          seatMap,
+          cabinClass: bookingData.class,
+          occupiedSeats,
+          restricted,
+          nearRows: partySeats.map(seatRow)
+        });
+
+        if (assignment.error) {
+          await connection.rollback();
+          return res.status(400).json({
+            success: false,
+            message: assignment.error
+          });
+        }
+        assigned = assignment.seats;
+      }
+
+      seatNumbers = passengerRows.map(passenger => passenger.seat_number || assigned[unseated.indexOf(passenger)]);
+    }
+
+    if (passengerRows.length !== seatNumbers.length) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Number of seat numbers (${seatNumbers.length}) does not match number of seated passengers (${passengerRows.length})`
+      });
+    }
+
+    // The exit row rule holds however the seats were chosen: no children in
+    // exit rows, and an adult outside them for each lap infant (adults not
+    // seated yet still count; they are kept out of exit rows when seated)
+    const finalSeat = passenger => (
+      passengerRows.includes(passenger) ? seatNumbers[passengerRows.indexOf(passenger)] : passenger.seat_number
+    );
+    const childInExitRow = passengerRows.find(passenger => (
+      passenger.passenger_type === 'child' && exitRows.has(seatRow(finalSeat(passenger)))
+    ));
+    const infantCount = bookingPassengers.filter(passenger => passenger.passenger_type === 'infant').length;
+    const escortCount = bookingPassengers.filter(passenger => (
+      passenger.passenger_type === 'adult' && !(finalSeat(passenger) && exitRows.has(seatRow(finalSeat(passenger))))
+    )).length;
+
+    if (childInExitRow || escortCount < infantCount) {
       await connection.rollback();
       return res.status(400).json({
         success: false,
-        message: 'Check-in opens 24 hours before departure'
+        message: childInExitRow
+          ? `Seat ${normalizeSeatNumber(finalSeat(childInExitRow))} is in an exit row, which children cannot sit in`
+          : 'Each lap infant must travel with an adult seated outside the exit rows'
       });
     }
 
-    // Calculate boarding time (30 minutes before departure)
-    const boardingTime = new Date(departureTime.getTime() - 30 * 60 * 1000);
+    // Validate seats against the seat map, ignoring seats this booking already holds
+    const seatError = await validateSeatSelection(connection, {
+      flightId: bookingData.flight_id,
+      seatMap,
+      seatNumbers,
+      cabinClass: bookingData.class,
+      excludeBookingId: bookingId
+    });
 
-    // Get passengers for this booking
-    const [passengerRows] = await connection.execute(
-      'SELECT booking_passenger_id FROM booking_passengers WHERE booking_id = ? ORDER BY booking_passenger_id',
-      [bookingId]
+    // validateSeatSelection ignores the whole booking's seats, so seats kept
+    // by passengers on it who aren't checking in now are checked here
+    const heldByOthers = new Set(
+      bookingPassengers
+        .filter(passenger => !selected.includes(passenger) && passenger.seat_number)
+        .map(passenger => normalizeSeatNumber(passenger.seat_number))
     );
+    const takenSeat = seatNumbers.map(normalizeSeatNumber).find(seat => heldByOthers.has(seat));
 
-    if (passengerRows.length !== seat_numbers.length) {
+    if (seatError || takenSeat) {
       await connection.rollback();
       return res.status(400).json({
         success: false,
-        message: `Number of seat numbers (${seat_numbers.length}) does not match number of passengers (${passengerRows.length})`
+        message: seatError || `Seat ${takenSeat} is already taken by another passenger on this booking`
       });
     }
 
-    // Create check-in record
-    await connection.execute(
-      `INSERT INTO check_ins (booking_id, check_in_datetime, gate_number, boarding_time, status)
-       VALUES (?, NOW(), ?, ?, 'completed')`,
-      [bookingId, gate_number || 'TBA', boardingTime]
+    // The party shares one check-in record, created with its first passenger
+    const [existingCheckInRows] = await connection.execute(
+      'SELECT check_in_id, gate_number, boarding_time FROM check_ins WHERE booking_id = ?',
+      [bookingId]
     );
+    let checkInId;
+    let gateNumber = gate_number || 'TBA';
+
+    if (existingCheckInRows.length > 0) {
+      checkInId = existingCheckInRows[0].check_in_id;
+      gateNumber = gate_number || existingCheckInRows[0].gate_number;
+      await connection.execute(
+        `UPDATE check_ins SET gate_number = ?, boarding_time = ?, status = 'completed'
+         WHERE check_in_id = ?`,
+        [gateNumber, boardingTime, checkInId]
+      );
+    } else {
+      const [checkInResult] = await connection.execute(
+        `INSERT INTO check_ins (booking_id, check_in_datetime, gate_number, boarding_time, status)
+         VALUES (?, NOW(), ?, ?, 'completed')`,
+        [bookingId, gateNumber, boardingTime]
+      );
+      checkInId = checkInResult.insertId;
+    }
 
     // Update seat numbers for passengers
-    for (let i = 0; i < passengerRows.length && i < seat_numbers.length; i++) {
+    for (let i = 0; i < passengerRows.length && i < seatNumbers.length; i++) {
       await connection.execute(
         'UPDATE booking_passengers SET seat_number = ? WHERE booking_passenger_id = ?',
-        [seat_numbers[i].trim().toUpperCase(), passengerRows[i].booking_passenger_id]
+        [normalizeSeatNumber(seatNumbers[i]), passengerRows[i].booking_passenger_id]
       );
     }
 
+    await setPassengerCheckInStatus(connection, selected.map(passenger => passenger.booking_passenger_id), 'checked_in');
+
+    // Boarding passes for everyone checked in, lap infants included
+    await issueBoardingPasses(connection, {
+      checkInId,
+      bookingId,
+      flightId: bookingData.flight_id
+    });
+    const boardingPasses = await getBoardingPasses(connection, bookingId);
+
     await connection.commit();
 
     res.json({
@@ -315,8 +545,12 @@ router.post('/confirm', [
       message: 'Check-in confirmed successfully',
       data: {
         booking_id: bookingId,
-        gate_number: gate_number || 'TBA',
-        boarding_time: boardingTime
+        checked_in_passenger_ids: selected.map(passenger => passenger.passenger_id),
+        seats_auto_assigned: autoAssigned,
+        gate_number: gateNumber,
+        boarding_time: boardingTime,
+        boarding_time_local: toLocalIso(boardingTime, flightRows[0].from_timezone || undefined),
+        boarding_passes: boardingPasses
       }
     });
   } catch (error) {
@@ -331,4 +565,346 @@ router.post('/confirm', [
   }
 });
 
+// ========== TRAVEL DOCUMENTS ==========
+// Passport details for passengers on the booking, checked against the
+// flight. Saved on the passenger so they are on file for later trips.
+router.put('/:bookingId/travel-documents', [
+  body('documents')
+    .isArray({ min: 1 }).withMessage('At least one travel document is required'),
+  body('documents.*.passenger_id')
+    .isInt({ min: 1 }).withMessage('Passenger ID must be a positive integer'),
+  body('documents.*.passport_number')
+    .trim()
+    .notEmpty().withMessage('Passport number is required')
+    .isLength({ max: 50 }).withMessage('Passport number is too long')
+    .matches(/^[A-Za-z0-9]+$/).withMessage('Passport number can only contain letters and digits'),
+  body('documents.*.issuing_country')
+    .trim()
+    .custom(value => ISSUING_COUNTRY_PATTERN.test(String(value).toUpperCase()))
+    .withMessage('Issuing country must be a 3-letter country code'),
+  body('documents.*.expiry_date')
+    .isISO8601({ strict: true }).withMessage('Expiry date must be a valid date (YYYY-MM-DD)'),
+  body('documents.*.date_of_birth')
+    .isISO8601({ strict: true }).withMessage('Date of birth must be a valid date (YYYY-MM-DD)'),
+  body('documents.*.nationality')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Nationality is too long')
+], async (req, res) => {
+  const connection = await require('../config/database').pool.getConnection();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const bookingId = parseInt(req.params.bookingId);
+
+    if (isNaN(bookingId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    await connection.beginTransaction();
+
+    const [bookingRows] = await connection.execute(
+      `SELECT b.booking_id, f.departure_datetime, f.arrival_datetime,
+              dep.country as from_country, dep.timezone as from_timezone,
+              arr.country as to_country, arr.timezone as to_timezone
+       FROM bookings b
+       INNER JOIN flights f ON b.flight_id = f.flight_id
+       INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
+       INNER JOIN airports arr ON f.to_airport_code = arr.airport_code
+       WHERE b.booking_id = ? AND b.user_id = ? AND b.status = 'confirmed'`,
+      [bookingId, req.user.userId]
+    );
+
+    if (bookingRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const flight = bookingRows[0];
+    const bookingPassengers = await getPassengerCheckIns(connection, bookingId);
+    const results = [];
+
+    for (const document of req.body.documents) {
+      const passenger = bookingPassengers.find(row => row.passenger_id === parseInt(document.passenger_id));
+
+      if (!passenger) {
+        await connection.rollback();
+        return res.status(404).json({
+          success: false,
+          message: `Passenger ${document.passenger_id} is not on this booking`
+        });
+      }
+
+      const updated = {
+        ...passenger,
+        passport_number: document.passport_number.toUpperCase(),
+        passport_issuing_country: document.issuing_country.toUpperCase(),
+        passport_expiry_date: document.expiry_date,
+        date_of_birth: document.date_of_birth
+      };
+      const problems = checkTravelDocument(updated, flight);
+
+      if (problems.length > 0) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Travel document for ${passenger.first_name} ${passenger.last_name} can't be used: ${problems.join(', ')}`
+        });
+      }
+
+      await connection.execute(
+        `UPDATE passengers
+         SET passport_number = ?, passport_issuing_country = ?, passport_expiry_date = ?,
+             date_of_birth = ?, nationality = COALESCE(?, nationality)
+         WHERE passenger_id = ?`,
+        [
+          updated.passport_number,
+          updated.passport_issuing_country,
+          updated.passport_expiry_date,
+          updated.date_of_birth,
+          document.nationality || null,
+          passenger.passenger_id
+        ]
+      );
+
+      results.push({
+        passenger_id: passenger.passenger_id,
+        passport_number: updated.passport_number,
+        issuing_country: updated.passport_issuing_country,
+        expiry_date: updated.passport_expiry_date,
+        date_of_birth: updated.date_of_birth
+      });
+    }
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Travel documents saved',
+      data: {
+        travel_documents_required: requiresTravelDocuments(flight),
+        documents: results
+      }
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Save travel documents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save travel documents: ' + error.message
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// ========== UNDO CHECK-IN ==========
+// Undo the check-in of some passengers (passenger_ids) or everyone on the
+// booking, until boarding closes. Their boarding passes are withdrawn; seats
+// stay with the booking.
+router.post('/:bookingId/undo', [
+  body('passenger_ids')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Passenger IDs must be a non-empty array'),
+  body('passenger_ids.*')
+    .isInt({ min: 1 }).withMessage('Each passenger ID must be a positive integer')
+], async (req, res) => {
+  const connection = await require('../config/database').pool.getConnection();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const bookingId = parseInt(req.params.bookingId);
+
+    if (isNaN(bookingId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    await connection.beginTransaction();
+
+    const [bookingRows] = await connection.execute(
+      `SELECT b.booking_id, f.departure_datetime
+       FROM bookings b
+       INNER JOIN flights f ON b.flight_id = f.flight_id
+       WHERE b.booking_id = ? AND b.user_id = ? AND b.status = 'confirmed'
+       FOR UPDATE`,
+      [bookingId, req.user.userId]
+    );
+
+    if (bookingRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (new Date() >= boardingClosesAt(bookingRows[0].departure_datetime)) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Boarding has closed; check-in can no longer be undone'
+      });
+    }
+
+    const bookingPassengers = await getPassengerCheckIns(connection, bookingId);
+    const requestedIds = req.body.passenger_ids ? req.body.passenger_ids.map(id => parseInt(id)) : null;
+    const selected = requestedIds
+      ? bookingPassengers.filter(passenger => requestedIds.includes(passenger.passenger_id))
+      : bookingPassengers.filter(passenger => passenger.check_in_status === 'checked_in');
+
+    if (requestedIds && selected.length !== new Set(requestedIds).size) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'One or more passengers are not on this booking'
+      });
+    }
+
+    const notCheckedIn = selected.filter(passenger => passenger.check_in_status !== 'checked_in');
+    if (selected.length === 0 || notCheckedIn.length > 0) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: selected.length === 0
+          ? 'No passengers on this booking are checked in'
+          : `Not checked in: ${notCheckedIn.map(passenger => `${passenger.first_name} ${passenger.last_name}`).join(', ')}`
+      });
+    }
+
+    // Infants left checked in still need an adult who is
+    const escortError = checkInfantEscort(bookingPassengers.map(passenger => (
+      selected.includes(passenger) ? { ...passenger, check_in_status: 'not_checked_in' } : passenger
+    )));
+
+    if (escortError) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `${escortError}. Undo the infant's check-in as well.`
+      });
+    }
+
+    await setPassengerCheckInStatus(connection, selected.map(passenger => passenger.booking_passenger_id), 'not_checked_in');
+    const checkInRemoved = await removeCheckInIfEmpty(connection, bookingId);
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Check-in undone',
+      data: {
+        booking_id: bookingId,
+        undone_passenger_ids: selected.map(passenger => passenger.passenger_id),
+        booking_checked_in: !checkInRemoved
+      }
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Undo check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to undo check-in: ' + error.message
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// ========== GET BOARDING PASSES ==========
+// One pass per passenger with its BCBP string and barcode as a PNG data URL;
+// ?format=pdf returns all of them as a PDF, one page per pass
+router.get('/:bookingId/boarding-passes', async (req, res) => {
+  const connection = await require('../config/database').pool.getConnection();
+
+  try {
+    const bookingId = parseInt(req.params.bookingId);
+
+    if (isNaN(bookingId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    await connection.beginTransaction();
+
+    const [checkInRows] = await connection.execute(
+      `SELECT ci.check_in_id, b.flight_id
+       FROM check_ins ci
+       INNER JOIN bookings b ON ci.booking_id = b.booking_id
+       WHERE ci.booking_id = ? AND b.user_id = ? AND b.status = 'confirmed' AND ci.status = 'completed'`,
+      [bookingId, req.user.userId]
+    );
+
+    if (checkInRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'No completed check-in found for this booking'
+      });
+    }
+
+    // Bookings checked in before passes were issued get theirs now
+    await lockFlightSeats(connection, checkInRows[0].flight_id);
+    await issueBoardingPasses(connection, {
+      checkInId: checkInRows[0].check_in_id,
+      bookingId,
+      flightId: checkInRows[0].flight_id
+    });
+    const passes = await getBoardingPasses(connection, bookingId);
+
+    await connection.commit();
+
+    if (req.query.format === 'pdf') {
+      const pdf = await renderBoardingPassesPdf(passes);
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `inline; filename="boarding-passes-${passes[0].booking_reference}.pdf"`);
+      return res.send(pdf);
+    }
+
+    for (const pass of passes) {
+      pass.barcode_png = 'data:image/png;base64,' + (await renderBarcodePng(pass.bcbp)).toString('base64');
+    }
+
+    res.json({
+      success: true,
+      data: { boarding_passes: passes }
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Get boarding passes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get boarding passes: ' + error.message
+    });
+  } finally {
+    connection.release();
+  }
+});
+
 module.exports = router;
@@ -1,97 +1,144 @@
 const express = require('express');
-const { query } = require('../config/database');
+const { query: queryParam, validationResult } = require('express-validator');
+const { pool, query, queryOne } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const {
+  searchDirectFlights,
+  pairRoundTrips,
+  searchConnectingItineraries,
+  attachDisplayPrices
+} = require('../services/flightSearch');
+const { getAircraftSeatMap, buildSeatList, getOccupiedSeats } = require('../services/seatMap');
+const { getSeatInventory } = require('../services/availability');
+const { calculateFare, priceFromInventory } = require('../services/pricing');
+const { CABIN_CLASSES } = require('../services/seatMap');
+const { createQuote } = require('../services/quotes');
+const { getFlightPriceBreakdown } = require('../services/priceBreakdown');
+const { resolveDisplayCurrency } = require('../services/currency');
+const { parsePassengerMix, seatedPassengers, validatePassengerMix } = require('../services/passengerTypes');
+const { getAncillaryCatalog } = require('../services/ancillaries');
+const { rowDistance } = require('../services/geo');
+const { ACTIVE_AIRPORTS_SQL } = require('../services/airports');
+const { attachLocalTimes } = require('../services/timezones');
 
 const router = express.Router();
 
 // ========== SEARCH FLIGHTS ==========
-router.get('/search', async (req, res) => {
+router.get('/search', [
+  queryParam('departure')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Departure must be a date (YYYY-MM-DD)'),
+  queryParam('return')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Return must be a date (YYYY-MM-DD)')
+], async (req, res) => {
   try {
-    const { from, to, departure, return: returnDate, passengers = 1, class: flightClass = 'economy' } = req.query;
-
-    let sql = `
-      SELECT 
-        f.flight_id,
-        f.flight_number,
-        f.departure_datetime,
-        f.arrival_datetime,
-        f.status,
-        f.base_price,
-        f.business_price,
-        f.first_class_price,
-        f.aircraft_id,
-        a.model as aircraft_model,
-        a.capacity,
-        dep.airport_code as from_code,
-        dep.airport_name as from_name,
-        dep.city as from_city,
-        dep.country as from_country,
-        arr.airport_code as to_code,
-        arr.airport_name as to_name,
-        arr.city as to_city,
-        arr.country as to_country,
-        CASE 
-          WHEN ? = 'economy' THEN f.base_price
-          WHEN ? = 'business' THEN f.business_price
-          WHEN ? = 'first' THEN f.first_class_price
-          ELSE f.base_price
-        END as price
-      FROM flights f
-      INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
-      INNER JOIN airports arr ON f.to_airport_code = arr.airport_code
-      INNER JOIN aircraft a ON f.aircraft_id = a.aircraft_id
-      WHERE f.status IN ('scheduled', 'boarding')
-    `;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    const params = [flightClass, flightClass, flightClass];
+    const { from, to, departure, return: returnDate, passengers = 1, children, infants, class: flightClass = 'economy', max_stops: maxStopsParam, currency } = req.query;
+    // `passengers` is the number of adults; children and lap infants are priced separately
+    const passengerMix = parsePassengerMix({ adults: parseInt(passengers) || 1, children, infants });
+    const maxStops = maxStopsParam === undefined ? 2 : Math.min(2, Math.max(0, parseInt(maxStopsParam) || 0));
 
-    if (from) {
-      sql += ' AND f.from_airport_code = ?';
-      params.push(from);
+    if (returnDate && departure && returnDate < departure) {
+      return res.status(400).json({
+        success: false,
+        message: 'Return date cannot be before departure date'
+      });
     }
 
-    if (to) {
-      sql += ' AND f.to_airport_code = ?';
-      params.push(to);
+    const passengerError = validatePassengerMix(passengerMix);
+    if (passengerError) {
+      return res.status(400).json({
+        success: false,
+        message: passengerError
+      });
     }
 
-    if (departure) {
-      sql += ' AND DATE(f.departure_datetime) = ?';
-      params.push(departure);
+    // Prices are always in the selling currency; `currency` adds a converted
+    // `display` block to each result
+    const display = await resolveDisplayCurrency(pool, currency);
+    if (display.error) {
+      return res.status(400).json({
+        success: false,
+        message: display.error
+      });
     }
 
-    sql += ' ORDER BY f.departure_datetime ASC';
+    const flights = await searchDirectFlights({
+      from,
+      to,
+      date: departure,
+      flightClass,
+      passengers: passengerMix
+    });
 
-    const flights = await query(sql, params);
+    const connectingItineraries = await searchConnectingItineraries({
+      from,
+      to,
+      date: departure,
+      flightClass,
+      passengers: passengerMix,
+      maxStops
+    });
 
-    // Calculate available seats for each flight
-    for (let flight of flights) {
-      const [bookedSeatsResult] = await query(
-        `SELECT COUNT(*) as booked_seats
-         FROM booking_passengers bp
-         INNER JOIN bookings b ON bp.booking_id = b.booking_id
-         WHERE b.flight_id = ? AND b.status != 'cancelled'`,
-        [flight.flight_id]
-      );
+    const data = {
+      flights,
+      connecting_itineraries: connectingItineraries,
+      search_params: {
+        from,
+        to,
+        departure,
+        return: returnDate,
+        passengers: passengerMix.adult,
+        children: passengerMix.child,
+        infants: passengerMix.infant,
+        class: flightClass,
+        max_stops: maxStops,
+        currency: display.currency || null
+      }
+    };
 
-      const booked = bookedSeatsResult.booked_seats || 0;
-      flight.available_seats = Math.max(0, flight.capacity - booked);
-      flight.total_price = parseFloat(flight.price) * parseInt(passengers);
+    if (returnDate) {
+      const returnFlights = await searchDirectFlights({
+        from: to,
+        to: from,
+        date: returnDate,
+        flightClass,
+        passengers: passengerMix
+      });
+
+      data.return_flights = returnFlights;
+      data.return_connecting_itineraries = await searchConnectingItineraries({
+        from: to,
+        to: from,
+        date: returnDate,
+        flightClass,
+        passengers: passengerMix,
+        maxStops
+      });
+      data.itineraries = pairRoundTrips(flights, returnFlights, seatedPassengers(passengerMix));
+    }
+
+    if (display.currency) {
+      for (const results of ['flights', 'connecting_itineraries', 'return_flights', 'return_connecting_itineraries', 'itineraries']) {
+        if (data[results]) {
+          attachDisplayPrices(data[results], display.currency, display.rates);
+        }
+      }
     }
 
     res.json({
       success: true,
       message: 'Flights retrieved successfully',
-      data: {
-        flights: flights || [],
-        search_params: {
-          from,
-          to,
-          departure,
-          return: returnDate,
-          passengers: parseInt(passengers),
-          class: flightClass
-        }
-      }
+      data
     });
   } catch (error) {
     console.error('Flight search error:', error);
@@ -102,6 +149,90 @@ router.get('/search', async (req, res) => {
   }
 });
 
+// ========== PRICE QUOTE ==========
+// Quotes are issued to a signed-in user and only honored on their bookings
+router.post('/quote', authenticate, async (req, res) => {
+  try {
+    const { flight_id, class: flightClass = 'economy', passengers = 1, children, infants } = req.body;
+    const flightId = parseInt(flight_id);
+    const passengerMix = parsePassengerMix({ adults: passengers, children, infants });
+
+    if (isNaN(flightId) || isNaN(passengerMix.adult) || passengerMix.adult < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid flight_id and passenger count are required'
+      });
+    }
+
+    const passengerError = validatePassengerMix(passengerMix);
+    if (passengerError) {
+      return res.status(400).json({
+        success: false,
+        message: passengerError
+      });
+    }
+
+    if (!CABIN_CLASSES.includes(flightClass)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid class. Must be one of: ${CABIN_CLASSES.join(', ')}`
+      });
+    }
+
+    const flight = await queryOne(
+      `SELECT f.*, a.capacity, a.economy_seats, a.business_seats, a.first_class_seats,
+        dep.country as from_country, arr.country as to_country
+       FROM flights f
+       INNER JOIN aircraft a ON f.aircraft_id = a.aircraft_id
+       INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
+       INNER JOIN airports arr ON f.to_airport_code = arr.airport_code
+       WHERE f.flight_id = ? AND f.status IN ('scheduled', 'boarding') AND ${ACTIVE_AIRPORTS_SQL}`,
+      [flightId]
+    );
+
+    if (!flight) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flight not found or not available'
+      });
+    }
+
+    const inventory = await getSeatInventory(pool, flight);
+
+    // Lap infants don't take a seat
+    if (inventory.available[flightClass] < seatedPassengers(passengerMix)) {
+      return res.status(400).json({
+        success: false,
+        message: `Not enough ${flightClass} seats available. Only ${inventory.available[flightClass]} seat(s) remaining.`
+      });
+    }
+
+    const fare = calculateFare(flight, flightClass, {
+      booked: inventory.booked[flightClass],
+      capacity: inventory.capacity[flightClass]
+    });
+
+    const breakdown = await getFlightPriceBreakdown(pool, flight, {
+      fare,
+      flightClass,
+      passengers: passengerMix
+    });
+
+    res.json({
+      success: true,
+      data: {
+        quote: createQuote({ userId: req.user.userId, flightId, flightClass, passengers: passengerMix, breakdown })
+      }
+    });
+  } catch (error) {
+    console.error('Price quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create price quote: ' + error.message
+    });
+  }
+});
+
 // ========== GET SINGLE FLIGHT ==========
 router.get('/:id', async (req, res) => {
   try {
@@ -119,14 +250,23 @@ router.get('/:id', async (req, res) => {
         f.*,
         a.model as aircraft_model,
         a.capacity,
+        a.economy_seats,
+        a.business_seats,
+        a.first_class_seats,
         dep.airport_code as from_code,
         dep.airport_name as from_name,
         dep.city as from_city,
         dep.country as from_country,
+        dep.latitude as from_latitude,
+        dep.longitude as from_longitude,
+        dep.timezone as from_timezone,
         arr.airport_code as to_code,
         arr.airport_name as to_name,
         arr.city as to_city,
-        arr.country as to_country
+        arr.country as to_country,
+        arr.latitude as to_latitude,
+        arr.longitude as to_longitude,
+        arr.timezone as to_timezone
        FROM flights f
        INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
        INNER JOIN airports arr ON f.to_airport_code = arr.airport_code
@@ -142,17 +282,18 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    // Calculate available seats
-    const [bookedSeatsResult] = await query(
-      `SELECT COUNT(*) as booked_seats
-       FROM booking_passengers bp
-       INNER JOIN bookings b ON bp.booking_id = b.booking_id
-       WHERE b.flight_id = ? AND b.status != 'cancelled'`,
-      [flightId]
-    );
+    // Calculate available seats and current fares per class; `class` narrows
+    // available_seats to one cabin
+    const inventory = await getSeatInventory(pool, flights[0]);
+    const availableByClass = inventory.available;
+    const flightClass = req.query.class;
 
-    const booked = bookedSeatsResult.booked_seats || 0;
-    flights[0].available_seats = Math.max(0, flights[0].capacity - booked);
+    flights[0].available_seats_by_class = availableByClass;
+    flights[0].available_seats = availableByClass[flightClass] ??
+      availableByClass.economy + availableByClass.business + availableByClass.first;
+    flights[0].fares = priceFromInventory(flights[0], inventory);
+    Object.assign(flights[0], rowDistance(flights[0]));
+    attachLocalTimes(flights[0]);
 
     res.json({
       success: true,
@@ -167,6 +308,113 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// ========== GET FLIGHT SEAT MAP ==========
+router.get('/:id/seatmap', async (req, res) => {
+  try {
+    const flightId = parseInt(req.params.id);
+
+    if (isNaN(flightId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid flight ID'
+      });
+    }
+
+    const flight = await queryOne(
+      `SELECT f.flight_id, f.flight_number, f.aircraft_id, a.model as aircraft_model, a.capacity,
+              a.economy_seats, a.business_seats, a.first_class_seats, a.seat_map
+       FROM flights f
+       INNER JOIN aircraft a ON f.aircraft_id = a.aircraft_id
+       WHERE f.flight_id = ?`,
+      [flightId]
+    );
+
+    if (!flight) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flight not found'
+      });
+    }
+
+    const seatMap = getAircraftSeatMap(flight);
+    const occupied = await getOccupiedSeats(pool, flightId);
+
+    const seats = buildSeatList(seatMap).map(seat => ({
+      ...seat,
+      status: seat.is_blocked ? 'blocked' : occupied.has(seat.seat_number) ? 'taken' : 'available'
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        flight_id: flight.flight_id,
+        flight_number: flight.flight_number,
+        aircraft_model: flight.aircraft_model,
+        cabins: seatMap.cabins,
+        exit_rows: seatMap.exit_rows || [],
+        seats
+      }
+    });
+  } catch (error) {
+    console.error('Get seat map error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get seat map: ' + error.message
+    });
+  }
+});
+
+// ========== GET FLIGHT ANCILLARIES ==========
+router.get('/:id/ancillaries', async (req, res) => {
+  try {
+    const flightId = parseInt(req.params.id);
+    const flightClass = req.query.class || 'economy';
+
+    if (isNaN(flightId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid flight ID'
+      });
+    }
+
+    if (!CABIN_CLASSES.includes(flightClass)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid class. Must be one of: ${CABIN_CLASSES.join(', ')}`
+      });
+    }
+
+    const flight = await queryOne(
+      'SELECT flight_id, from_airport_code, to_airport_code FROM flights WHERE flight_id = ?',
+      [flightId]
+    );
+
+    if (!flight) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flight not found'
+      });
+    }
+
+    const ancillaries = await getAncillaryCatalog(pool, flight, flightClass);
+
+    res.json({
+      success: true,
+      data: {
+        flight_id: flight.flight_id,
+        class: flightClass,
+        ancillaries
+      }
+    });
+  } catch (error) {
+    console.error('Get flight ancillaries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get ancillaries: ' + error.message
+    });
+  }
+});
+
 // ========== GET FLIGHT STATUS ==========
 router.get('/status/:flightNumber', async (req, res) => {
   try {
@@ -180,10 +428,12 @@ router.get('/status/:flightNumber', async (req, res) => {
         dep.airport_name as from_name,
         dep.city as from_city,
         dep.country as from_country,
+        dep.timezone as from_timezone,
         arr.airport_code as to_airport_code,
         arr.airport_name as to_name,
         arr.city as to_city,
-        arr.country as to_country
+        arr.country as to_country,
+        arr.timezone as to_timezone
        FROM flights f
        INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
        INNER JOIN airports arr ON f.to_airport_code = arr.airport_code
@@ -199,6 +449,8 @@ router.get('/status/:flightNumber', async (req, res) => {
       });
     }
 
+    attachLocalTimes(flights[0]);
+
     res.json({
       success: true,
       data: { flight: flights[0] }
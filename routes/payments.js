@@ -0,0 +1,77 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { getPaymentProvider, applyPaymentOutcome, processPendingRefunds } = require('../services/payments');
+
+const router = express.Router();
+
+// ========== PAYMENT PROVIDER WEBHOOK ==========
+// Called by the payment provider, so it is authenticated by signature rather
+// than by user token. Each provider event is processed at most once.
+router.post('/webhook', async (req, res) => {
+  const provider = getPaymentProvider();
+  let event;
+
+  try {
+    event = provider.parseWebhookEvent(req.rawBody, req.headers);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook: ' + error.message
+    });
+  }
+
+  if (!event.id || !event.intentId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Webhook event is missing an event or intent ID'
+    });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Record the event first; a duplicate delivery inserts nothing
+    const [eventResult] = await connection.execute(
+      `INSERT IGNORE INTO payment_events (provider, provider_event_id, event_type, provider_intent_id)
+       VALUES (?, ?, ?, ?)`,
+      [provider.name, event.id, event.type, event.intentId]
+    );
+
+    if (eventResult.affectedRows === 0) {
+      await connection.rollback();
+      return res.json({
+        success: true,
+        message: 'Event already processed'
+      });
+    }
+
+    const outcome = await applyPaymentOutcome(connection, {
+      intentId: event.intentId,
+      status: event.status
+    });
+
+    await connection.commit();
+
+    if (outcome) {
+      await processPendingRefunds(outcome.payment.booking_id);
+    }
+
+    res.json({
+      success: true,
+      message: outcome ? 'Event processed' : 'Event ignored: unknown payment intent'
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook: ' + error.message
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+module.exports = router;
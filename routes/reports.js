@@ -1,31 +1,134 @@
 const express = require('express');
-const { query, queryOne } = require('../config/database');
+const { pool, query, queryOne } = require('../config/database');
 const { authenticate, requireAdmin } = require('../middleware/auth');
+const { DEFAULT_CURRENCY } = require('../services/payments');
+const { roundPrice } = require('../services/pricing');
+const { rowDistance } = require('../services/geo');
+const {
+  DEFAULT_AIRPORT_TIMEZONE,
+  getTimezoneOffsetMinutes,
+  formatOffset
+} = require('../services/timezones');
+const {
+  REPORTING_CURRENCY,
+  resolveDisplayCurrency,
+  convertAmount,
+  foldByCurrency
+} = require('../services/currency');
 
 const router = express.Router();
 
+// Stored times are UTC; reports bucket them by calendar day and month in
+// REPORTING_TIMEZONE
+const REPORTING_TIMEZONE = process.env.REPORTING_TIMEZONE || DEFAULT_AIRPORT_TIMEZONE;
+
+// SQL for a UTC datetime column (or the current time) in the reporting zone,
+// at the zone's current offset
+function reportingTime(column = 'UTC_TIMESTAMP()') {
+  const offset = formatOffset(getTimezoneOffsetMinutes(REPORTING_TIMEZONE, new Date()));
+  return `CONVERT_TZ(${column}, '+00:00', '${offset}')`;
+}
+
 // All report routes require authentication and admin role
 router.use(authenticate);
 router.use(requireAdmin);
 
+// Seat capacity vs. booked seats per cabin class (lap infants hold no seat).
+// When flight statuses are given, both sides only count flights in those
+// statuses.
+async function getClassOccupancy(flightStatuses = null) {
+  const statusFilter = flightStatuses
+    ? `AND f.status IN (${flightStatuses.map(() => '?').join(', ')})`
+    : '';
+  const params = flightStatuses || [];
+
+  const capacity = await queryOne(
+    `SELECT 
+      COALESCE(SUM(a.economy_seats), 0) as economy,
+      COALESCE(SUM(a.business_seats), 0) as business,
+      COALESCE(SUM(a.first_class_seats), 0) as first
+     FROM flights f
+     INNER JOIN aircraft a ON f.aircraft_id = a.aircraft_id
+     WHERE 1=1 ${statusFilter}`,
+    params
+  );
+
+  const bookedRows = await query(
+    `SELECT b.class, COUNT(*) as booked
+     FROM booking_passengers bp
+     INNER JOIN bookings b ON bp.booking_id = b.booking_id
+     INNER JOIN flights f ON b.flight_id = f.flight_id
+     WHERE b.status != 'cancelled' AND bp.passenger_type != 'infant' ${statusFilter}
+     GROUP BY b.class`,
+    params
+  );
+
+  const occupancy = {};
+  for (const flightClass of ['economy', 'business', 'first']) {
+    const total = parseInt(capacity?.[flightClass]) || 0;
+    const booked = bookedRows.find(row => row.class === flightClass)?.booked || 0;
+
+    occupancy[flightClass] = {
+      rate: total > 0 ? Math.round((booked / total) * 100) : 0,
+      booked,
+      total
+    };
+  }
+
+  return occupancy;
+}
+
+// Reporting currency for a request: the `currency` query parameter or the
+// configured REPORTING_CURRENCY, with the rates to convert into it.
+// Returns { currency, rates } or { error }.
+function getReportingCurrency(req) {
+  return resolveDisplayCurrency(pool, req.query.currency || REPORTING_CURRENCY);
+}
+
+// Sum of revenue rows grouped by currency, in the reporting currency
+function totalInCurrency(rows, reporting, field = 'total') {
+  const [merged] = foldByCurrency(rows, { amountFields: [field], to: reporting.currency, rates: reporting.rates });
+  return merged ? merged[field] : 0;
+}
+
+// Airport pair columns for route reports (airports `dep` and `arr`),
+// including the coordinates that give the route distance
+const ROUTE_COLUMNS = `dep.airport_code as from_code,
+        arr.airport_code as to_code,
+        dep.latitude as from_latitude,
+        dep.longitude as from_longitude,
+        arr.latitude as to_latitude,
+        arr.longitude as to_longitude`;
+const ROUTE_KEY_FIELDS = ['from_code', 'to_code', 'from_latitude', 'from_longitude', 'to_latitude', 'to_longitude'];
+
 // ========== OVERVIEW STATISTICS ==========
 router.get('/overview', async (req, res) => {
   try {
+    const reporting = await getReportingCurrency(req);
+    if (reporting.error) {
+      return res.status(400).json({
+        success: false,
+        message: reporting.error
+      });
+    }
+
     // Total revenue (all time)
-    const totalRevenue = await queryOne(
-      `SELECT COALESCE(SUM(total_amount), 0) as total 
+    const totalRevenue = await query(
+      `SELECT currency, COALESCE(SUM(total_amount), 0) as total 
        FROM bookings 
-       WHERE status = 'confirmed' AND payment_status = 'paid'`
+       WHERE status = 'confirmed' AND payment_status = 'paid'
+       GROUP BY currency`
     );
 
     // Monthly revenue (current month)
-    const monthlyRevenue = await queryOne(
-      `SELECT COALESCE(SUM(total_amount), 0) as total 
+    const monthlyRevenue = await query(
+      `SELECT currency, COALESCE(SUM(total_amount), 0) as total 
        FROM bookings 
        WHERE status = 'confirmed' 
          AND payment_status = 'paid'
-         AND MONTH(booking_date) = MONTH(CURRENT_DATE)
-         AND YEAR(booking_date) = YEAR(CURRENT_DATE)`
+         AND MONTH(${reportingTime('booking_date')}) = MONTH(${reportingTime()})
+         AND YEAR(${reportingTime('booking_date')}) = YEAR(${reportingTime()})
+       GROUP BY currency`
     );
 
     // Total bookings (all time)
@@ -38,8 +141,8 @@ router.get('/overview', async (req, res) => {
       `SELECT COUNT(*) as total 
        FROM bookings 
        WHERE status = 'confirmed'
-         AND MONTH(booking_date) = MONTH(CURRENT_DATE)
-         AND YEAR(booking_date) = YEAR(CURRENT_DATE)`
+         AND MONTH(${reportingTime('booking_date')}) = MONTH(${reportingTime()})
+         AND YEAR(${reportingTime('booking_date')}) = YEAR(${reportingTime()})`
     );
 
     // Popular routes (top 3)
@@ -86,19 +189,22 @@ router.get('/overview', async (req, res) => {
       `SELECT COUNT(*) as total 
        FROM booking_passengers bp
        INNER JOIN bookings b ON bp.booking_id = b.booking_id
-       WHERE b.status != 'cancelled'`
+       WHERE b.status != 'cancelled' AND bp.passenger_type != 'infant'`
     );
 
     const occupancyRate = (totalSeats?.total || 0) > 0
       ? Math.round(((bookedSeats?.total || 0) / (totalSeats?.total || 0)) * 100)
       : 0;
 
+    const occupancyByClass = await getClassOccupancy();
+
     res.json({
       success: true,
       data: {
         revenue: {
-          total: parseFloat(totalRevenue?.total || 0),
-          monthly: parseFloat(monthlyRevenue?.total || 0)
+          currency: reporting.currency,
+          total: totalInCurrency(totalRevenue, reporting),
+          monthly: totalInCurrency(monthlyRevenue, reporting)
         },
         bookings: {
           total: totalBookings?.total || 0,
@@ -108,6 +214,7 @@ router.get('/overview', async (req, res) => {
         performance: {
           onTimeRate,
           occupancyRate,
+          occupancyByClass,
           customerSatisfaction: 4.5 // Placeholder - would need reviews table
         }
       }
@@ -124,63 +231,143 @@ router.get('/overview', async (req, res) => {
 // ========== REVENUE REPORTS ==========
 router.get('/revenue', async (req, res) => {
   try {
+    const reporting = await getReportingCurrency(req);
+    if (reporting.error) {
+      return res.status(400).json({
+        success: false,
+        message: reporting.error
+      });
+    }
+
+    // Revenue is summed per booking currency in SQL and converted to the
+    // reporting currency here
+
     // Total revenue
-    const totalRevenue = await queryOne(
-      `SELECT COALESCE(SUM(total_amount), 0) as total 
+    const totalRevenue = await query(
+      `SELECT currency, COALESCE(SUM(total_amount), 0) as total 
        FROM bookings 
-       WHERE status = 'confirmed' AND payment_status = 'paid'`
+       WHERE status = 'confirmed' AND payment_status = 'paid'
+       GROUP BY currency`
     );
 
     // Monthly revenue
-    const monthlyRevenue = await queryOne(
-      `SELECT COALESCE(SUM(total_amount), 0) as total 
+    const monthlyRevenue = await query(
+      `SELECT currency, COALESCE(SUM(total_amount), 0) as total 
        FROM bookings 
        WHERE status = 'confirmed' 
          AND payment_status = 'paid'
-         AND MONTH(booking_date) = MONTH(CURRENT_DATE)
-         AND YEAR(booking_date) = YEAR(CURRENT_DATE)`
+         AND MONTH(${reportingTime('booking_date')}) = MONTH(${reportingTime()})
+         AND YEAR(${reportingTime('booking_date')}) = YEAR(${reportingTime()})
+       GROUP BY currency`
+    );
+
+    // Itemized revenue: base fares, taxes, fees, ancillaries and the promo
+    // discounts taken off the base fares. Bookings
+    // made before prices were itemized only count toward the total.
+    const revenueByCurrency = await query(
+      `SELECT 
+        currency,
+        COALESCE(SUM(base_fare_amount), 0) as base_fare,
+        COALESCE(SUM(tax_amount), 0) as taxes,
+        COALESCE(SUM(fee_amount), 0) as fees,
+        COALESCE(SUM(ancillary_amount), 0) as ancillaries,
+        COALESCE(SUM(discount_amount), 0) as discounts,
+        COALESCE(SUM(total_amount), 0) as total
+       FROM bookings
+       WHERE status = 'confirmed' AND payment_status = 'paid'
+       GROUP BY currency
+       ORDER BY total DESC`
+    );
+
+    const [revenueBreakdown] = foldByCurrency(revenueByCurrency, {
+      amountFields: ['base_fare', 'taxes', 'fees', 'ancillaries', 'discounts', 'total'],
+      to: reporting.currency,
+      rates: reporting.rates
+    });
+
+    // Ancillary revenue by category
+    const ancillaryRows = await query(
+      `SELECT 
+        an.category,
+        ba.currency,
+        COALESCE(SUM(ba.quantity), 0) as items_sold,
+        COALESCE(SUM(ba.total_price), 0) as revenue
+       FROM booking_ancillaries ba
+       INNER JOIN ancillaries an ON ba.ancillary_id = an.ancillary_id
+       INNER JOIN bookings b ON ba.booking_id = b.booking_id
+       WHERE ba.status = 'active' AND b.status = 'confirmed' AND b.payment_status = 'paid'
+       GROUP BY an.category, ba.currency`
     );
 
+    const ancillaryRevenue = foldByCurrency(ancillaryRows, {
+      keyFields: ['category'],
+      amountFields: ['revenue'],
+      to: reporting.currency,
+      rates: reporting.rates
+    }).map(row => ({
+      ...row,
+      items_sold: ancillaryRows
+        .filter(ancillaryRow => ancillaryRow.category === row.category)
+        .reduce((sum, ancillaryRow) => sum + parseInt(ancillaryRow.items_sold), 0)
+    }));
+
     // Revenue by route (top routes)
-    const revenueByRoute = await query(
+    const routeRows = await query(
       `SELECT 
         CONCAT(dep.city, ' → ', arr.city) as route,
+        b.currency,
         COALESCE(SUM(b.total_amount), 0) as revenue
        FROM bookings b
        INNER JOIN flights f ON b.flight_id = f.flight_id
        INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
        INNER JOIN airports arr ON f.to_airport_code = arr.airport_code
        WHERE b.status = 'confirmed' AND b.payment_status = 'paid'
-       GROUP BY dep.city, arr.city
-       ORDER BY revenue DESC
-       LIMIT 5`
+       GROUP BY dep.city, arr.city, b.currency`
     );
 
+    const revenueByRoute = foldByCurrency(routeRows, {
+      keyFields: ['route'],
+      amountFields: ['revenue'],
+      to: reporting.currency,
+      rates: reporting.rates
+    })
+      .sort((a, b) => b.revenue - a.revenue)
+      .slice(0, 5);
+
     // Revenue trend (last 6 months)
-    const revenueTrend = await query(
+    const trendRows = await query(
       `SELECT 
-        DATE_FORMAT(booking_date, '%Y-%m') as month,
+        DATE_FORMAT(${reportingTime('booking_date')}, '%Y-%m') as month,
+        currency,
         COALESCE(SUM(total_amount), 0) as revenue
        FROM bookings
        WHERE status = 'confirmed' 
          AND payment_status = 'paid'
-         AND booking_date >= DATE_SUB(CURRENT_DATE, INTERVAL 6 MONTH)
-       GROUP BY DATE_FORMAT(booking_date, '%Y-%m')
+         AND ${reportingTime('booking_date')} >= DATE_SUB(${reportingTime()}, INTERVAL 6 MONTH)
+       GROUP BY DATE_FORMAT(${reportingTime('booking_date')}, '%Y-%m'), currency
        ORDER BY month ASC`
     );
 
+    const revenueTrend = foldByCurrency(trendRows, {
+      keyFields: ['month'],
+      amountFields: ['revenue'],
+      to: reporting.currency,
+      rates: reporting.rates
+    });
+
     // Calculate growth
-    const currentMonthRevenue = parseFloat(monthlyRevenue?.total || 0);
-    const lastMonthRevenue = await queryOne(
-      `SELECT COALESCE(SUM(total_amount), 0) as total 
+    const currentMonthRevenue = totalInCurrency(monthlyRevenue, reporting);
+    const lastMonthRevenue = await query(
+      `SELECT currency, COALESCE(SUM(total_amount), 0) as total 
        FROM bookings 
        WHERE status = 'confirmed' 
          AND payment_status = 'paid'
-         AND MONTH(booking_date) = MONTH(DATE_SUB(CURRENT_DATE, INTERVAL 1 MONTH))
-         AND YEAR(booking_date) = YEAR(DATE_SUB(CURRENT_DATE, INTERVAL 1 MONTH))`
+         AND MONTH(${reportingTime('booking_date')}) = MONTH(DATE_SUB(${reportingTime()}, INTERVAL 1 MONTH))
+         AND YEAR(${reportingTime('booking_date')}) = YEAR(DATE_SUB(${reportingTime()}, INTERVAL 1 MONTH))
+       GROUP BY currency`
     );
 
-    const lastMonth = parseFloat(lastMonthRevenue?.total || 0);
+    const lastMonth = totalInCurrency(lastMonthRevenue, reporting);
     const growth = lastMonth > 0 
       ? (((currentMonthRevenue - lastMonth) / lastMonth) * 100).toFixed(1)
       : '0.0';
@@ -188,10 +375,14 @@ router.get('/revenue', async (req, res) => {
     res.json({
       success: true,
       data: {
-        totalRevenue: parseFloat(totalRevenue?.total || 0),
+        currency: reporting.currency,
+        totalRevenue: totalInCurrency(totalRevenue, reporting),
         monthlyRevenue: currentMonthRevenue,
-        revenueByRoute: revenueByRoute || [],
-        revenueTrend: revenueTrend || [],
+        revenueBreakdown: revenueBreakdown || { base_fare: 0, taxes: 0, fees: 0, ancillaries: 0, discounts: 0, total: 0 },
+        revenueByCurrency: revenueByCurrency || [],
+        ancillaryRevenue,
+        revenueByRoute,
+        revenueTrend,
         growth: parseFloat(growth)
       }
     });
@@ -216,8 +407,8 @@ router.get('/bookings', async (req, res) => {
     const monthlyBookings = await queryOne(
       `SELECT COUNT(*) as total 
        FROM bookings 
-       WHERE MONTH(booking_date) = MONTH(CURRENT_DATE)
-         AND YEAR(booking_date) = YEAR(CURRENT_DATE)`
+       WHERE MONTH(${reportingTime('booking_date')}) = MONTH(${reportingTime()})
+         AND YEAR(${reportingTime('booking_date')}) = YEAR(${reportingTime()})`
     );
 
     // Booking status breakdown
@@ -232,11 +423,11 @@ router.get('/bookings', async (req, res) => {
     // Booking trend (last 6 months)
     const bookingTrend = await query(
       `SELECT 
-        DATE_FORMAT(booking_date, '%Y-%m') as month,
+        DATE_FORMAT(${reportingTime('booking_date')}, '%Y-%m') as month,
         COUNT(*) as count
        FROM bookings
-       WHERE booking_date >= DATE_SUB(CURRENT_DATE, INTERVAL 6 MONTH)
-       GROUP BY DATE_FORMAT(booking_date, '%Y-%m')
+       WHERE ${reportingTime('booking_date')} >= DATE_SUB(${reportingTime()}, INTERVAL 6 MONTH)
+       GROUP BY DATE_FORMAT(${reportingTime('booking_date')}, '%Y-%m')
        ORDER BY month ASC`
     );
 
@@ -245,8 +436,8 @@ router.get('/bookings', async (req, res) => {
     const lastMonthBookings = await queryOne(
       `SELECT COUNT(*) as total 
        FROM bookings 
-       WHERE MONTH(booking_date) = MONTH(DATE_SUB(CURRENT_DATE, INTERVAL 1 MONTH))
-         AND YEAR(booking_date) = YEAR(DATE_SUB(CURRENT_DATE, INTERVAL 1 MONTH))`
+       WHERE MONTH(${reportingTime('booking_date')}) = MONTH(DATE_SUB(${reportingTime()}, INTERVAL 1 MONTH))
+         AND YEAR(${reportingTime('booking_date')}) = YEAR(DATE_SUB(${reportingTime()}, INTERVAL 1 MONTH))`
     );
 
     const lastMonth = lastMonthBookings?.total || 0;
@@ -276,19 +467,29 @@ router.get('/bookings', async (req, res) => {
 // ========== ROUTES REPORTS ==========
 router.get('/routes', async (req, res) => {
   try {
+    const reporting = await getReportingCurrency(req);
+    if (reporting.error) {
+      return res.status(400).json({
+        success: false,
+        message: reporting.error
+      });
+    }
+
+    // Routes are grouped by airport pair and carry their great-circle
+    // distance (null for airports without coordinates)
+
     // Popular routes (by booking count)
     const popularRoutes = await query(
       `SELECT 
         CONCAT(dep.city, ' → ', arr.city) as route,
-        dep.airport_code as from_code,
-        arr.airport_code as to_code,
+        ${ROUTE_COLUMNS},
         COUNT(*) as booking_count
        FROM bookings b
        INNER JOIN flights f ON b.flight_id = f.flight_id
        INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
        INNER JOIN airports arr ON f.to_airport_code = arr.airport_code
        WHERE b.status = 'confirmed'
-       GROUP BY dep.city, arr.city, dep.airport_code, arr.airport_code
+       GROUP BY dep.airport_code, arr.airport_code
        ORDER BY booking_count DESC
        LIMIT 10`
     );
@@ -297,6 +498,7 @@ router.get('/routes', async (req, res) => {
     const routePerformance = await query(
       `SELECT 
         CONCAT(dep.city, ' → ', arr.city) as route,
+        ${ROUTE_COLUMNS},
         AVG(
           CASE 
             WHEN b.class = 'economy' THEN f.base_price
@@ -310,32 +512,54 @@ router.get('/routes', async (req, res) => {
        INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
        INNER JOIN airports arr ON f.to_airport_code = arr.airport_code
        WHERE b.status = 'confirmed'
-       GROUP BY dep.city, arr.city
+       GROUP BY dep.airport_code, arr.airport_code
        ORDER BY avg_price DESC
        LIMIT 10`
     );
 
+    // Flight base prices are in the selling currency
+    for (const row of routePerformance || []) {
+      row.avg_price = convertAmount(row.avg_price, DEFAULT_CURRENCY, reporting.currency, reporting.rates);
+    }
+
     // Route revenue
-    const routeRevenue = await query(
+    const routeRevenueRows = await query(
       `SELECT 
         CONCAT(dep.city, ' → ', arr.city) as route,
+        ${ROUTE_COLUMNS},
+        b.currency,
         COALESCE(SUM(b.total_amount), 0) as revenue
        FROM bookings b
        INNER JOIN flights f ON b.flight_id = f.flight_id
        INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
        INNER JOIN airports arr ON f.to_airport_code = arr.airport_code
        WHERE b.status = 'confirmed' AND b.payment_status = 'paid'
-       GROUP BY dep.city, arr.city
-       ORDER BY revenue DESC
-       LIMIT 10`
+       GROUP BY dep.airport_code, arr.airport_code, b.currency`
     );
 
+    const routeRevenue = foldByCurrency(routeRevenueRows, {
+      keyFields: ['route', ...ROUTE_KEY_FIELDS],
+      amountFields: ['revenue'],
+      to: reporting.currency,
+      rates: reporting.rates
+    })
+      .sort((a, b) => b.revenue - a.revenue)
+      .slice(0, 10);
+
+    for (const row of [...popularRoutes, ...routePerformance, ...routeRevenue]) {
+      Object.assign(row, rowDistance(row));
+      for (const field of ['from_latitude', 'from_longitude', 'to_latitude', 'to_longitude']) {
+        delete row[field];
+      }
+    }
+
     res.json({
       success: true,
       data: {
+        currency: reporting.currency,
         popularRoutes: popularRoutes || [],
         routePerformance: routePerformance || [],
-        routeRevenue: routeRevenue || []
+        routeRevenue
       }
     });
   } catch (error) {
@@ -386,13 +610,15 @@ router.get('/performance', async (req, res) => {
       `SELECT COUNT(*) as total 
        FROM booking_passengers bp
        INNER JOIN bookings b ON bp.booking_id = b.booking_id
-       WHERE b.status != 'cancelled'`
+       WHERE b.status != 'cancelled' AND bp.passenger_type != 'infant'`
     );
 
     const occupancyRate = (totalSeats?.total || 0) > 0
       ? Math.round(((bookedSeats?.total || 0) / (totalSeats?.total || 0)) * 100)
       : 0;
 
+    const occupancyByClass = await getClassOccupancy(['scheduled', 'boarding', 'completed']);
+
     // Average flight time
     const avgFlightTime = await queryOne(
       `SELECT 
@@ -418,7 +644,8 @@ router.get('/performance', async (req, res) => {
         occupancy: {
           rate: occupancyRate,
           booked: bookedSeats?.total || 0,
-          total: totalSeats?.total || 0
+          total: totalSeats?.total || 0,
+          byClass: occupancyByClass
         },
         customerSatisfaction: {
           average: 4.5, // Placeholder
@@ -444,5 +671,145 @@ router.get('/performance', async (req, res) => {
   }
 });
 
+// ========== PROMOTIONS REPORTS ==========
+
+// Campaign effectiveness: per promo code and per campaign, how often codes
+// were used, how many of those bookings were paid, the revenue they
+// brought in and the discount given away
+router.get('/promotions', async (req, res) => {
+  try {
+    const reporting = await getReportingCurrency(req);
+    if (reporting.error) {
+      return res.status(400).json({
+        success: false,
+        message: reporting.error
+      });
+    }
+
+    const campaignFilter = req.query.campaign ? 'AND pc.campaign = ?' : '';
+    const params = req.query.campaign ? [req.query.campaign] : [];
+
+    // Redemptions (reversed ones didn't lead to a booking), paid bookings
+    // and distinct customers per code
+    const codeRows = await query(
+      `SELECT 
+        pc.promo_code_id,
+        pc.code,
+        pc.campaign,
+        pc.discount_type,
+        pc.discount_value,
+        pc.max_uses,
+        pc.active,
+        COUNT(pr.redemption_id) as redemptions,
+        COALESCE(SUM(pr.status = 'active'), 0) as active_redemptions,
+        COALESCE(SUM(b.status = 'confirmed' AND b.payment_status = 'paid'), 0) as paid_bookings,
+        COUNT(DISTINCT pr.user_id) as customers
+       FROM promo_codes pc
+       LEFT JOIN promo_redemptions pr ON pc.promo_code_id = pr.promo_code_id
+       LEFT JOIN bookings b ON pr.booking_id = b.booking_id
+       WHERE 1=1 ${campaignFilter}
+       GROUP BY pc.promo_code_id
+       ORDER BY pc.campaign, pc.code`,
+      params
+    );
+
+    // Revenue and discount on paid bookings, per code and booking currency
+    const amountRows = await query(
+      `SELECT 
+        pr.promo_code_id,
+        b.currency,
+        COALESCE(SUM(b.total_amount), 0) as revenue,
+        COALESCE(SUM(b.discount_amount), 0) as discount_given
+       FROM promo_redemptions pr
+       INNER JOIN promo_codes pc ON pr.promo_code_id = pc.promo_code_id
+       INNER JOIN bookings b ON pr.booking_id = b.booking_id
+       WHERE b.status = 'confirmed' AND b.payment_status = 'paid' ${campaignFilter}
+       GROUP BY pr.promo_code_id, b.currency`,
+      params
+    );
+
+    const amounts = foldByCurrency(amountRows, {
+      keyFields: ['promo_code_id'],
+      amountFields: ['revenue', 'discount_given'],
+      to: reporting.currency,
+      rates: reporting.rates
+    });
+
+    // Customers are counted once per campaign even if they used several codes
+    const customerRows = await query(
+      `SELECT pc.campaign, COUNT(DISTINCT pr.user_id) as customers
+       FROM promo_redemptions pr
+       INNER JOIN promo_codes pc ON pr.promo_code_id = pc.promo_code_id
+       WHERE 1=1 ${campaignFilter}
+       GROUP BY pc.campaign`,
+      params
+    );
+
+    const effectiveness = (redemptions, paidBookings, revenue) => ({
+      conversion_rate: redemptions > 0 ? Math.round((paidBookings / redemptions) * 100) : 0,
+      avg_booking_value: paidBookings > 0 ? roundPrice(revenue / paidBookings) : 0
+    });
+
+    const promoCodes = codeRows.map(row => {
+      const amount = amounts.find(entry => entry.promo_code_id === row.promo_code_id) || { revenue: 0, discount_given: 0 };
+      const redemptions = parseInt(row.redemptions);
+      const paidBookings = parseInt(row.paid_bookings);
+
+      return {
+        ...row,
+        redemptions,
+        active_redemptions: parseInt(row.active_redemptions),
+        paid_bookings: paidBookings,
+        revenue: amount.revenue,
+        discount_given: amount.discount_given,
+        ...effectiveness(redemptions, paidBookings, amount.revenue)
+      };
+    });
+
+    const campaigns = new Map();
+    for (const promoCode of promoCodes) {
+      const key = promoCode.campaign || null;
+      if (!campaigns.has(key)) {
+        campaigns.set(key, {
+          campaign: key,
+          codes: 0,
+          redemptions: 0,
+          paid_bookings: 0,
+          customers: parseInt(customerRows.find(row => row.campaign === key)?.customers) || 0,
+          revenue: 0,
+          discount_given: 0
+        });
+      }
+
+      const campaign = campaigns.get(key);
+      campaign.codes++;
+      campaign.redemptions += promoCode.redemptions;
+      campaign.paid_bookings += promoCode.paid_bookings;
+      campaign.revenue = roundPrice(campaign.revenue + promoCode.revenue);
+      campaign.discount_given = roundPrice(campaign.discount_given + promoCode.discount_given);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        currency: reporting.currency,
+        campaigns: [...campaigns.values()]
+          .map(campaign => ({
+            ...campaign,
+            ...effectiveness(campaign.redemptions, campaign.paid_bookings, campaign.revenue)
+          }))
+          .sort((a, b) => b.revenue - a.revenue),
+        promoCodes
+      }
+    });
+  } catch (error) {
+    console.error('Get promotions report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get promotions report: ' + error.message
+    });
+  }
+});
+
 module.exports = router;
 
@@ -3,6 +3,13 @@ const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const { query, queryOne } = require('../config/database');
 const { authenticate } = require('../middleware/auth');
+const {
+  LOYALTY_TIERS,
+  TIER_WINDOW_MONTHS,
+  pointsValue,
+  getLoyaltyAccount,
+  refreshTier
+} = require('../services/loyalty');
 
 const router = express.Router();
 
@@ -345,4 +352,69 @@ router.post('/passengers', [
   }
 });
 
+// ========== LOYALTY ACCOUNT ==========
+// Points balance, tier and statement. The tier is reassessed on every look
+// since the rolling window moves even without new activity.
+router.get('/loyalty', async (req, res) => {
+  try {
+    const { pool } = require('../config/database');
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const tier = await refreshTier(pool, req.user.userId);
+    const account = await getLoyaltyAccount(pool, req.user.userId);
+
+    // The next tier up, if any, and what it takes to get there
+    const nextTier = LOYALTY_TIERS
+      .filter(entry => entry.qualifying_points > tier.qualifying_points)
+      .pop();
+
+    const statement = await query(
+      `SELECT 
+        lt.transaction_id,
+        lt.type,
+        lt.points,
+        lt.qualifying_points,
+        lt.activity_date,
+        lt.description,
+        lt.created_at,
+        b.booking_reference
+       FROM loyalty_transactions lt
+       LEFT JOIN bookings b ON lt.booking_id = b.booking_id
+       WHERE lt.user_id = ?
+       ORDER BY lt.created_at DESC, lt.transaction_id DESC
+       LIMIT ${limit}`,
+      [req.user.userId]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        loyalty: {
+          loyalty_number: account.loyalty_number,
+          tier: tier.tier,
+          tier_bonus: tier.bonus,
+          tier_updated_at: account.tier_updated_at,
+          points_balance: account.points_balance,
+          points_value: pointsValue(Math.max(0, account.points_balance)),
+          qualifying_points: tier.qualifyingPoints,
+          qualifying_window_months: TIER_WINDOW_MONTHS,
+          next_tier: nextTier
+            ? {
+              tier: nextTier.tier,
+              qualifying_points_needed: nextTier.qualifying_points - tier.qualifyingPoints
+            }
+            : null
+        },
+        statement: statement || []
+      }
+    });
+  } catch (error) {
+    console.error('Get loyalty account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get loyalty account: ' + error.message
+    });
+  }
+});
+
 module.exports = router;
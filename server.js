@@ -3,9 +3,18 @@ const cors = require('cors');
 require('dotenv').config();
 
 const db = require('./config/database');
+const { startHoldSweeper } = require('./services/holds');
+const { validatePaymentConfig } = require('./services/payments');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Refuse to take payments on development settings
+const paymentConfigError = validatePaymentConfig();
+if (paymentConfigError) {
+  console.error(`❌ ${paymentConfigError}`);
+  process.exit(1);
+}
+
 // Enable CORS for your frontend
 app.use(cors({
   origin: [
@@ -16,7 +25,12 @@ app.use(cors({
 }));
 
 // Middleware
-app.use(express.json());
+// Keep the raw body for payment webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // API Routes
@@ -27,6 +41,7 @@ app.use('/api/checkin', require('./routes/checkin'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/reports', require('./routes/reports'));
+app.use('/api/payments', require('./routes/payments'));
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -51,6 +66,7 @@ db.pool.getConnection()
 
     const server = app.listen(PORT, () => {
       console.log(`🚀 SkyWings Airlines server running on port ${PORT}`);
+      startHoldSweeper();
     });
 
     server.on('error', (err) => {
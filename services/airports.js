@@ -0,0 +1,80 @@
+// Airport codes are IATA location identifiers: three letters, stored upper
+// case. Inactive airports (airports.active = 0) take no new flights, and
+// flights to or from them can't be searched or booked.
+
+const { DEFAULT_AIRPORT_TIMEZONE } = require('./timezones');
+
+const IATA_CODE_PATTERN = /^[A-Z]{3}$/;
+
+// SQL condition (on airports aliased `dep` and `arr`) for flights whose
+// airports are both in service
+const ACTIVE_AIRPORTS_SQL = 'dep.active = 1 AND arr.active = 1';
+
+function normalizeAirportCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : code;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Returns an error message if a flight can't operate between these
+// airports, or null
+async function validateFlightAirports(connection, fromCode, toCode) {
+  const from = normalizeAirportCode(fromCode);
+  const to = normalizeAirportCode(toCode);
+
+  if (!IATA_CODE_PATTERN.test(from) || !IATA_CODE_PATTERN.test(to)) {
+    return 'Airport codes must be 3-letter IATA codes';
+  }
+
+  if (from === to) {
+    return 'Departure and arrival airports must be different';
+  }
+
+  const [rows] = await connection.execute(
+    'SELECT airport_code, active FROM airports WHERE airport_code IN (?, ?)',
+    [from, to]
+  );
+
+  for (const code of [from, to]) {
+    const airport = rows.find(row => row.airport_code === code);
+    if (!airport) {
+      return `Airport ${code} not found`;
+    }
+    if (!airport.active) {
+      return `Airport ${code} is deactivated`;
+    }
+  }
+
+  return null;
+}
+
+// Timezone of each airport code, falling back to DEFAULT_AIRPORT_TIMEZONE
+async function getAirportTimezones(connection, codes) {
+  const normalized = codes.map(normalizeAirportCode);
+  const [rows] = await connection.execute(
+    `SELECT airport_code, timezone FROM airports WHERE airport_code IN (${normalized.map(() => '?').join(', ')})`,
+    normalized
+  );
+
+  const timezones = {};
+  for (const code of normalized) {
+    timezones[code] = rows.find(row => row.airport_code === code)?.timezone || DEFAULT_AIRPORT_TIMEZONE;
+  }
+  return timezones;
+}
+
+module.exports = {
+  IATA_CODE_PATTERN,
+  ACTIVE_AIRPORTS_SQL,
+  normalizeAirportCode,
+  isValidTimezone,
+  validateFlightAirports,
+  getAirportTimezones
+};
@@ -0,0 +1,218 @@
+const { roundPrice } = require('./pricing');
+
+// Extras sold on top of the seat. `ancillaries` is the catalog with a
+// default price; `ancillary_prices` overrides it for a route, a class or
+// both, the most specific match winning. Items are attached per passenger
+// in `booking_ancillaries`, and their sum is kept in
+// bookings.ancillary_amount (included in total_amount).
+
+const ANCILLARY_CATEGORIES = ['baggage', 'meal', 'priority_boarding'];
+
+// Price of one item on a route and class
+async function getAncillaryPrice(connection, ancillary, { fromCode, toCode, flightClass }) {
+  const [rows] = await connection.execute(
+    `SELECT price FROM ancillary_prices
+     WHERE ancillary_id = ?
+       AND (from_airport_code IS NULL OR (from_airport_code = ? AND to_airport_code = ?))
+       AND (class IS NULL OR class = ?)
+     ORDER BY from_airport_code IS NULL, class IS NULL
+     LIMIT 1`,
+    [ancillary.ancillary_id, fromCode, toCode, flightClass]
+  );
+
+  return roundPrice(parseFloat(rows[0] ? rows[0].price : ancillary.price));
+}
+
+// Active catalog priced for a flight row (from_airport_code/to_airport_code)
+// and class
+async function getAncillaryCatalog(connection, flight, flightClass) {
+  const [rows] = await connection.execute(
+    'SELECT * FROM ancillaries WHERE active = 1 ORDER BY category, name'
+  );
+
+  for (const ancillary of rows) {
+    ancillary.price = await getAncillaryPrice(connection, ancillary, {
+      fromCode: flight.from_airport_code,
+      toCode: flight.to_airport_code,
+      flightClass
+    });
+  }
+
+  return rows;
+}
+
+// Validate and price requested items against the catalog.
+// `items` are [{ passengerKey, ancillary_id, quantity }], where passengerKey
+// identifies the passenger the item is for; `existing` maps passengerKey to
+// { ancillary_id: quantity } already attached.
+// Returns { items } with unit_price/total_price filled in, or { error }.
+function priceAncillaryRequests(catalog, items, existing = {}) {
+  const priced = [];
+  const perPassenger = {};
+
+  for (const item of items) {
+    const ancillary = catalog.find(entry => entry.ancillary_id === parseInt(item.ancillary_id));
+    if (!ancillary) {
+      return { error: `Ancillary ${item.ancillary_id} is not available` };
+    }
+
+    const quantity = item.quantity === undefined ? 1 : parseInt(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { error: 'Ancillary quantity must be a positive whole number' };
+    }
+
+    const counts = perPassenger[item.passengerKey] || (perPassenger[item.passengerKey] = { ...(existing[item.passengerKey] || {}) });
+    counts[ancillary.ancillary_id] = (counts[ancillary.ancillary_id] || 0) + quantity;
+
+    if (counts[ancillary.ancillary_id] > ancillary.max_per_passenger) {
+      return { error: `At most ${ancillary.max_per_passenger} x ${ancillary.name} per passenger` };
+    }
+
+    priced.push({
+      ...item,
+      ancillary,
+      quantity,
+      unit_price: ancillary.price,
+      total_price: roundPrice(ancillary.price * quantity)
+    });
+  }
+
+  return { items: priced };
+}
+
+// Record priced items on a booking and add them to its totals. Items
+// charged on their own payment record it (paymentId). Returns the amount
+// added.
+async function attachAncillaries(connection, { bookingId, currency, items, paymentId = null }) {
+  let amount = 0;
+
+  for (const item of items) {
+    await connection.execute(
+      `INSERT INTO booking_ancillaries (
+        booking_id, booking_passenger_id, payment_id, ancillary_id, quantity, unit_price, total_price, currency
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        bookingId,
+        item.booking_passenger_id,
+        paymentId,
+        item.ancillary.ancillary_id,
+        item.quantity,
+        item.unit_price,
+        item.total_price,
+        currency
+      ]
+    );
+    amount += item.total_price;
+  }
+
+  amount = roundPrice(amount);
+
+  if (amount > 0) {
+    await connection.execute(
+      `UPDATE bookings
+       SET ancillary_amount = ancillary_amount + ?, total_amount = total_amount + ?,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE booking_id = ?`,
+      [amount, amount, bookingId]
+    );
+  }
+
+  return amount;
+}
+
+// Take back the items charged on a payment that failed, removing them from
+// the booking totals. Returns the amount removed.
+async function detachAncillaries(connection, { bookingId, paymentId }) {
+  const [rows] = await connection.execute(
+    `SELECT COALESCE(SUM(total_price), 0) as amount
+     FROM booking_ancillaries
+     WHERE booking_id = ? AND payment_id = ? AND status = 'active'`,
+    [bookingId, paymentId]
+  );
+  const amount = roundPrice(parseFloat(rows[0].amount));
+
+  await connection.execute(
+    `UPDATE booking_ancillaries
+     SET status = 'cancelled'
+     WHERE booking_id = ? AND payment_id = ? AND status = 'active'`,
+    [bookingId, paymentId]
+  );
+
+  if (amount > 0) {
+    await connection.execute(
+      `UPDATE bookings
+       SET ancillary_amount = ancillary_amount - ?, total_amount = total_amount - ?,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE booking_id = ?`,
+      [amount, amount, bookingId]
+    );
+  }
+
+  return amount;
+}
+
+// Items attached to a booking, with catalog details
+async function getBookingAncillaries(connection, bookingId) {
+  const [rows] = await connection.execute(
+    `SELECT
+      ba.booking_ancillary_id,
+      ba.booking_passenger_id,
+      bp.passenger_id,
+      ba.ancillary_id,
+      an.code,
+      an.name,
+      an.category,
+      ba.quantity,
+      ba.unit_price,
+      ba.total_price,
+      ba.currency,
+      ba.status,
+      ba.created_at
+     FROM booking_ancillaries ba
+     INNER JOIN ancillaries an ON ba.ancillary_id = an.ancillary_id
+     LEFT JOIN booking_passengers bp ON ba.booking_passenger_id = bp.booking_passenger_id
+     WHERE ba.booking_id = ?
+     ORDER BY ba.booking_passenger_id, an.category, ba.created_at`,
+    [bookingId]
+  );
+  return rows;
+}
+
+// Cancel a passenger's items (when they leave the booking). Returns the
+// amount removed from the booking.
+async function cancelPassengerAncillaries(connection, { bookingId, bookingPassengerId }) {
+  const [rows] = await connection.execute(
+    `SELECT COALESCE(SUM(total_price), 0) as amount
+     FROM booking_ancillaries
+     WHERE booking_id = ? AND booking_passenger_id = ? AND status = 'active'`,
+    [bookingId, bookingPassengerId]
+  );
+  const amount = roundPrice(parseFloat(rows[0].amount));
+
+  await connection.execute(
+    `UPDATE booking_ancillaries
+     SET status = 'cancelled'
+     WHERE booking_id = ? AND booking_passenger_id = ? AND status = 'active'`,
+    [bookingId, bookingPassengerId]
+  );
+
+  if (amount > 0) {
+    await connection.execute(
+      'UPDATE bookings SET ancillary_amount = ancillary_amount - ? WHERE booking_id = ?',
+      [amount, bookingId]
+    );
+  }
+
+  return amount;
+}
+
+module.exports = {
+  ANCILLARY_CATEGORIES,
+  getAncillaryPrice,
+  getAncillaryCatalog,
+  priceAncillaryRequests,
+  attachAncillaries,
+  detachAncillaries,
+  getBookingAncillaries,
+  cancelPassengerAncillaries
+};
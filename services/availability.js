@@ -0,0 +1,110 @@
+const { buildSeatList } = require('./seatMap');
+const { ACTIVE_BOOKING_SQL } = require('./holds');
+
+// Aircraft column holding the seat count for each cabin class
+const CLASS_CAPACITY_COLUMNS = {
+  economy: 'economy_seats',
+  business: 'business_seats',
+  first: 'first_class_seats'
+};
+
+function emptyClassCounts() {
+  return { economy: 0, business: 0, first: 0 };
+}
+
+// Seat counts per class for an aircraft row (requires the *_seats columns)
+function getClassCapacity(aircraft) {
+  const capacity = emptyClassCounts();
+  for (const [flightClass, column] of Object.entries(CLASS_CAPACITY_COLUMNS)) {
+    capacity[flightClass] = parseInt(aircraft[column]) || 0;
+  }
+  return capacity;
+}
+
+// Count the selectable seats in each cabin of a seat map
+function classCapacityFromSeatMap(seatMap) {
+  const capacity = emptyClassCounts();
+  for (const seat of buildSeatList(seatMap)) {
+    if (!seat.is_blocked) {
+      capacity[seat.cabin_class]++;
+    }
+  }
+  return capacity;
+}
+
+// Booked passengers per class on each of several flights (bookings still
+// holding seats), keyed by flight ID. Lap infants share an adult's seat and
+// aren't counted.
+async function getBookedSeatsByFlight(connection, flightIds) {
+  const bookedByFlight = {};
+  for (const flightId of flightIds) {
+    bookedByFlight[flightId] = emptyClassCounts();
+  }
+
+  if (flightIds.length === 0) {
+    return bookedByFlight;
+  }
+
+  const placeholders = flightIds.map(() => '?').join(', ');
+  const [rows] = await connection.execute(
+    `SELECT b.flight_id, b.class, COUNT(*) as booked_seats
+     FROM booking_passengers bp
+     INNER JOIN bookings b ON bp.booking_id = b.booking_id
+     WHERE b.flight_id IN (${placeholders}) AND bp.passenger_type != 'infant' AND ${ACTIVE_BOOKING_SQL}
+     GROUP BY b.flight_id, b.class`,
+    flightIds
+  );
+
+  for (const row of rows) {
+    const booked = bookedByFlight[row.flight_id];
+    if (booked && booked[row.class] !== undefined) {
+      booked[row.class] = row.booked_seats || 0;
+    }
+  }
+  return bookedByFlight;
+}
+
+// Booked passengers per class on a flight
+async function getBookedSeatsByClass(connection, flightId) {
+  return (await getBookedSeatsByFlight(connection, [flightId]))[flightId];
+}
+
+function buildInventory(capacity, booked) {
+  const available = emptyClassCounts();
+  for (const flightClass of Object.keys(available)) {
+    available[flightClass] = Math.max(0, capacity[flightClass] - booked[flightClass]);
+  }
+  return { capacity, booked, available };
+}
+
+// Capacity, booked and remaining seats per class for a flight row joined
+// with its aircraft
+async function getSeatInventory(connection, flight) {
+  const booked = await getBookedSeatsByClass(connection, flight.flight_id);
+  return buildInventory(getClassCapacity(flight), booked);
+}
+
+// getSeatInventory for a list of flight rows in one query, keyed by flight ID
+async function getSeatInventories(connection, flights) {
+  const bookedByFlight = await getBookedSeatsByFlight(connection, flights.map(flight => flight.flight_id));
+  const inventories = {};
+  for (const flight of flights) {
+    inventories[flight.flight_id] = buildInventory(getClassCapacity(flight), bookedByFlight[flight.flight_id]);
+  }
+  return inventories;
+}
+
+// Remaining seats per class for a flight row joined with its aircraft
+async function getAvailableSeatsByClass(connection, flight) {
+  return (await getSeatInventory(connection, flight)).available;
+}
+
+module.exports = {
+  CLASS_CAPACITY_COLUMNS,
+  getClassCapacity,
+  classCapacityFromSeatMap,
+  getBookedSeatsByClass,
+  getSeatInventory,
+  getSeatInventories,
+  getAvailableSeatsByClass
+};
@@ -0,0 +1,268 @@
+// Boarding passes, one per passenger on a checked-in booking. A pass is
+// issued at check-in with the next sequence number on the flight; the rest
+// (seat, zone, gate, boarding time) is read when it is shown. The barcode
+// carries an IATA BCBP string (Resolution 792, format M, one leg,
+// mandatory items only) printed as PDF417.
+
+const bwipjs = require('bwip-js');
+const PDFDocument = require('pdfkit');
+const { toLocalIso } = require('./timezones');
+
+// Two-character airline designator for flight numbers without one
+const AIRLINE_DESIGNATOR = process.env.AIRLINE_DESIGNATOR || 'SW';
+
+// Boarding zones, boarded in order. Priority boarding bought as an extra
+// boards ahead of the rest of economy.
+const BOARDING_ZONES = {
+  first: 1,
+  business: 2,
+  priority: 3,
+  economy: 4
+};
+
+// BCBP compartment codes by cabin class
+const BCBP_COMPARTMENT_CODES = {
+  first: 'F',
+  business: 'J',
+  economy: 'Y'
+};
+
+function bcbpField(value, length) {
+  return String(value ?? '').toUpperCase().slice(0, length).padEnd(length, ' ');
+}
+
+// LAST/FIRST, letters and spaces only
+function bcbpName(lastName, firstName) {
+  const clean = name => String(name || '').toUpperCase().replace(/[^A-Z ]/g, '').trim();
+  return bcbpField(`${clean(lastName)}/${clean(firstName)}`, 20);
+}
+
+// Carrier (3) and flight number (5): '0101 ' for SW101
+function bcbpFlight(flightNumber) {
+  const match = String(flightNumber).toUpperCase().match(/^([A-Z]{2,3}|[A-Z]\d|\d[A-Z])?(\d{1,4})([A-Z]?)$/);
+  if (!match) {
+    return bcbpField(AIRLINE_DESIGNATOR, 3) + bcbpField(flightNumber, 5);
+  }
+  return bcbpField(match[1] || AIRLINE_DESIGNATOR, 3) + match[2].padStart(4, '0') + bcbpField(match[3], 1);
+}
+
+// Day of the year of a local YYYY-MM-DD date
+function julianDate(localDate) {
+  const [year, month, day] = localDate.slice(0, 10).split('-').map(Number);
+  const dayOfYear = (Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 0)) / (24 * 60 * 60 * 1000);
+  return String(dayOfYear).padStart(3, '0');
+}
+
+// '012A', or 'INF ' for lap infants
+function bcbpSeat(seatNumber) {
+  const match = String(seatNumber || '').match(/^(\d{1,3})([A-Z])$/);
+  return match ? match[1].padStart(3, '0') + match[2] : bcbpField(seatNumber || 'INF', 4);
+}
+
+// Mandatory BCBP items for one leg. The booking reference is longer than
+// the 7-character PNR field, so its last (random) characters are used.
+function buildBcbp(pass) {
+  return [
+    'M1',
+    bcbpName(pass.last_name, pass.first_name),
+    'E',
+    bcbpField(pass.booking_reference.slice(-7), 7),
+    bcbpField(pass.from_code, 3),
+    bcbpField(pass.to_code, 3),
+    bcbpFlight(pass.flight_number),
+    julianDate(pass.departure_local),
+    BCBP_COMPARTMENT_CODES[pass.class] || 'Y',
+    bcbpSeat(pass.seat_number),
+    String(pass.sequence_number).padStart(4, '0') + ' ',
+    '1', // passenger status: checked in
+    '00' // no conditional items
+  ].join('');
+}
+
+function getBoardingZone(flightClass, hasPriorityBoarding) {
+  if (flightClass === 'first' || flightClass === 'business') {
+    return BOARDING_ZONES[flightClass];
+  }
+  return hasPriorityBoarding ? BOARDING_ZONES.priority : BOARDING_ZONES.economy;
+}
+
+// Issue passes for the checked-in passengers of a booking that don't have
+// one yet. Call with the flight row locked (lockFlightSeats) so sequence
+// numbers are handed out in order. Returns the number of passes issued.
+async function issueBoardingPasses(connection, { checkInId, bookingId, flightId }) {
+  const [passengerRows] = await connection.execute(
+    `SELECT bp.booking_passenger_id
+     FROM booking_passengers bp
+     LEFT JOIN boarding_passes pass ON pass.booking_passenger_id = bp.booking_passenger_id
+     WHERE bp.booking_id = ? AND bp.check_in_status = 'checked_in' AND pass.boarding_pass_id IS NULL
+     ORDER BY bp.booking_passenger_id`,
+    [bookingId]
+  );
+
+  if (passengerRows.length === 0) {
+    return 0;
+  }
+
+  const [sequenceRows] = await connection.execute(
+    'SELECT COALESCE(MAX(sequence_number), 0) as last_sequence FROM boarding_passes WHERE flight_id = ?',
+    [flightId]
+  );
+  let sequenceNumber = sequenceRows[0].last_sequence;
+
+  for (const passenger of passengerRows) {
+    sequenceNumber += 1;
+    await connection.execute(
+      `INSERT INTO boarding_passes (check_in_id, booking_passenger_id, flight_id, sequence_number)
+       VALUES (?, ?, ?, ?)`,
+      [checkInId, passenger.booking_passenger_id, flightId, sequenceNumber]
+    );
+  }
+
+  return passengerRows.length;
+}
+
+// Passes issued on a booking, with their BCBP strings
+async function getBoardingPasses(connection, bookingId) {
+  const [rows] = await connection.execute(
+    `SELECT
+      pass.boarding_pass_id,
+      pass.sequence_number,
+      pass.issued_at,
+      bp.booking_passenger_id,
+      bp.passenger_id,
+      bp.passenger_type,
+      bp.seat_number,
+      p.first_name,
+      p.last_name,
+      b.booking_reference,
+      b.class,
+      ci.gate_number,
+      ci.boarding_time,
+      f.flight_number,
+      f.departure_datetime,
+      f.arrival_datetime,
+      dep.airport_code as from_code,
+      dep.city as from_city,
+      dep.timezone as from_timezone,
+      arr.airport_code as to_code,
+      arr.city as to_city,
+      arr.timezone as to_timezone,
+      EXISTS (
+        SELECT 1 FROM booking_ancillaries ba
+        INNER JOIN ancillaries an ON ba.ancillary_id = an.ancillary_id
+        WHERE ba.booking_id = b.booking_id AND ba.status = 'active'
+          AND an.category = 'priority_boarding'
+          AND (ba.booking_passenger_id = bp.booking_passenger_id OR ba.booking_passenger_id IS NULL)
+      ) as has_priority_boarding
+     FROM boarding_passes pass
+     INNER JOIN booking_passengers bp ON pass.booking_passenger_id = bp.booking_passenger_id
+     INNER JOIN passengers p ON bp.passenger_id = p.passenger_id
+     INNER JOIN bookings b ON bp.booking_id = b.booking_id
+     INNER JOIN check_ins ci ON pass.check_in_id = ci.check_in_id
+     INNER JOIN flights f ON pass.flight_id = f.flight_id
+     INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
+     INNER JOIN airports arr ON f.to_airport_code = arr.airport_code
+     WHERE bp.booking_id = ?
+     ORDER BY pass.sequence_number`,
+    [bookingId]
+  );
+
+  return rows.map(row => {
+    const pass = {
+      boarding_pass_id: row.boarding_pass_id,
+      booking_passenger_id: row.booking_passenger_id,
+      passenger_id: row.passenger_id,
+      passenger_name: `${row.first_name} ${row.last_name}`,
+      first_name: row.first_name,
+      last_name: row.last_name,
+      passenger_type: row.passenger_type,
+      booking_reference: row.booking_reference,
+      class: row.class,
+      flight_number: row.flight_number,
+      from_code: row.from_code,
+      from_city: row.from_city,
+      to_code: row.to_code,
+      to_city: row.to_city,
+      departure_datetime: row.departure_datetime,
+      departure_local: toLocalIso(row.departure_datetime, row.from_timezone || undefined),
+      arrival_datetime: row.arrival_datetime,
+      arrival_local: toLocalIso(row.arrival_datetime, row.to_timezone || undefined),
+      sequence_number: row.sequence_number,
+      seat_number: row.passenger_type === 'infant' ? null : row.seat_number,
+      boarding_zone: getBoardingZone(row.class, Boolean(row.has_priority_boarding)),
+      gate_number: row.gate_number,
+      boarding_time: row.boarding_time,
+      boarding_time_local: toLocalIso(row.boarding_time, row.from_timezone || undefined),
+      issued_at: row.issued_at
+    };
+    pass.bcbp = buildBcbp(pass);
+    return pass;
+  });
+}
+
+// PDF417 barcode of a BCBP string, as a PNG
+function renderBarcodePng(bcbp) {
+  return bwipjs.toBuffer({
+    bcid: 'pdf417',
+    text: bcbp,
+    scale: 2,
+    height: 10,
+    paddingwidth: 4,
+    paddingheight: 4,
+    backgroundcolor: 'FFFFFF'
+  });
+}
+
+// One page per pass, sized for a phone screen
+async function renderBoardingPassesPdf(passes) {
+  const barcodes = await Promise.all(passes.map(pass => renderBarcodePng(pass.bcbp)));
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: [288, 512], margin: 24, autoFirstPage: false });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    passes.forEach((pass, index) => {
+      doc.addPage();
+      doc.fontSize(10).fillColor('#555555').text('BOARDING PASS');
+      doc.moveDown(0.5);
+      doc.fontSize(22).fillColor('#000000').text(`${pass.from_code}  -  ${pass.to_code}`);
+      doc.fontSize(10).text(`${pass.from_city} to ${pass.to_city}`);
+      doc.moveDown();
+
+      const fields = [
+        ['Passenger', pass.passenger_name.toUpperCase()],
+        ['Flight', pass.flight_number],
+        ['Departure', (pass.departure_local || '').slice(0, 16).replace('T', ' ')],
+        ['Boarding', (pass.boarding_time_local || '').slice(0, 16).replace('T', ' ')],
+        ['Gate', pass.gate_number || 'TBA'],
+        ['Seat', pass.seat_number || 'Infant (lap)'],
+        ['Zone', String(pass.boarding_zone)],
+        ['Class', pass.class],
+        ['Sequence', String(pass.sequence_number).padStart(3, '0')],
+        ['Booking', pass.booking_reference]
+      ];
+      for (const [label, value] of fields) {
+        doc.fontSize(8).fillColor('#555555').text(label.toUpperCase());
+        doc.fontSize(12).fillColor('#000000').text(value);
+      }
+
+      doc.image(barcodes[index], 24, 400, { fit: [240, 80], align: 'center' });
+    });
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  AIRLINE_DESIGNATOR,
+  BOARDING_ZONES,
+  buildBcbp,
+  getBoardingZone,
+  issueBoardingPasses,
+  getBoardingPasses,
+  renderBarcodePng,
+  renderBoardingPassesPdf
+};
@@ -0,0 +1,97 @@
+const { normalizeSeatNumber, getOccupiedSeats, lockFlightSeats } = require('./seatMap');
+
+// Flight changes are recorded in `booking_changes` together with the
+// booking as it was before (previous_booking), so a change whose payment
+// fails can be undone.
+
+// What a booking row and its passengers look like before a change
+function snapshotBooking(booking, passengers) {
+  return {
+    flight_id: booking.flight_id,
+    total_amount: booking.total_amount,
+    currency: booking.currency,
+    base_fare_amount: booking.base_fare_amount,
+    tax_amount: booking.tax_amount,
+    fee_amount: booking.fee_amount,
+    discount_amount: booking.discount_amount,
+    price_breakdown: booking.price_breakdown === null || typeof booking.price_breakdown === 'string'
+      ? booking.price_breakdown
+      : JSON.stringify(booking.price_breakdown),
+    passengers: passengers.map(passenger => ({
+      booking_passenger_id: passenger.booking_passenger_id,
+      passenger_type: passenger.passenger_type,
+      seat_number: passenger.seat_number
+    }))
+  };
+}
+
+// Put a booking back on the flight it had before a change. Passengers whose
+// old seat was taken in the meantime are left unseated. Returns false if the
+// change was already reverted or is not the booking's latest change.
+async function revertBookingChange(connection, changeId) {
+  const [changeRows] = await connection.execute(
+    'SELECT * FROM booking_changes WHERE change_id = ? FOR UPDATE',
+    [changeId]
+  );
+  const change = changeRows[0];
+
+  if (!change || change.reverted_at || !change.previous_booking) {
+    return false;
+  }
+
+  const [bookingRows] = await connection.execute(
+    'SELECT booking_id, flight_id FROM bookings WHERE booking_id = ? FOR UPDATE',
+    [change.booking_id]
+  );
+  if (!bookingRows[0] || bookingRows[0].flight_id !== change.to_flight_id) {
+    return false;
+  }
+
+  const previous = typeof change.previous_booking === 'string'
+    ? JSON.parse(change.previous_booking)
+    : change.previous_booking;
+
+  await lockFlightSeats(connection, previous.flight_id);
+  const occupied = await getOccupiedSeats(connection, previous.flight_id, change.booking_id);
+
+  await connection.execute(
+    `UPDATE bookings
+     SET flight_id = ?, total_amount = ?, currency = ?, base_fare_amount = ?, tax_amount = ?,
+         fee_amount = ?, discount_amount = ?, price_breakdown = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE booking_id = ?`,
+    [
+      previous.flight_id,
+      previous.total_amount,
+      previous.currency,
+      previous.base_fare_amount,
+      previous.tax_amount,
+      previous.fee_amount,
+      previous.discount_amount,
+      previous.price_breakdown,
+      change.booking_id
+    ]
+  );
+
+  for (const passenger of previous.passengers) {
+    const seatNumber = passenger.seat_number && !occupied.has(normalizeSeatNumber(passenger.seat_number))
+      ? passenger.seat_number
+      : null;
+
+    await connection.execute(
+      'UPDATE booking_passengers SET passenger_type = ?, seat_number = ? WHERE booking_passenger_id = ?',
+      [passenger.passenger_type, seatNumber, passenger.booking_passenger_id]
+    );
+  }
+
+  await connection.execute(
+    'UPDATE booking_changes SET reverted_at = CURRENT_TIMESTAMP WHERE change_id = ?',
+    [changeId]
+  );
+
+  return true;
+}
+
+module.exports = {
+  snapshotBooking,
+  revertBookingChange
+};
@@ -0,0 +1,185 @@
+// Passengers check in individually (booking_passengers.check_in_status).
+// The booking's check_ins row carries the gate and boarding time shared by
+// the party; it is created with the first passenger checked in and removed
+// when the last one undoes their check-in.
+
+const { toLocalIso } = require('./timezones');
+
+// Minutes from the environment, keeping an explicit 0
+function envMinutes(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+// Check-ins can be undone until boarding closes, this long before departure
+const BOARDING_CLOSE_MINUTES = envMinutes('BOARDING_CLOSE_MINUTES', 15);
+
+// Minutes before departure that check-in opens and closes and boarding
+// starts, for airports and routes without a check_in_rules row
+const DEFAULT_CHECK_IN_RULES = {
+  opens_minutes_before: envMinutes('CHECK_IN_OPENS_MINUTES', 24 * 60),
+  closes_minutes_before: envMinutes('CHECK_IN_CLOSES_MINUTES', 45),
+  boarding_minutes_before: envMinutes('BOARDING_MINUTES_BEFORE', 30)
+};
+
+function minutesBefore(departure, minutes) {
+  return new Date(new Date(departure).getTime() - minutes * 60 * 1000);
+}
+
+function boardingClosesAt(departure) {
+  return minutesBefore(departure, BOARDING_CLOSE_MINUTES);
+}
+
+// Returns an error message for an inconsistent set of times, or null
+function validateCheckInRules({ opens_minutes_before: opens, closes_minutes_before: closes, boarding_minutes_before: boarding }) {
+  if (opens <= closes) {
+    return 'Check-in must open before it closes';
+  }
+  if (boarding > opens) {
+    return 'Boarding cannot start before check-in opens';
+  }
+  if (boarding <= BOARDING_CLOSE_MINUTES) {
+    return `Boarding must start more than ${BOARDING_CLOSE_MINUTES} minutes before departure, when it closes`;
+  }
+  return null;
+}
+
+// Rules for a route: its own, else its departure airport's, else the
+// defaults. `source` tells which one applied.
+async function getCheckInRules(connection, fromCode, toCode) {
+  const [rows] = await connection.execute(
+    `SELECT * FROM check_in_rules
+     WHERE from_airport_code = ? AND (to_airport_code = ? OR to_airport_code IS NULL)
+     ORDER BY to_airport_code IS NULL
+     LIMIT 1`,
+    [fromCode, toCode]
+  );
+  const rule = rows[0];
+
+  if (!rule) {
+    return { ...DEFAULT_CHECK_IN_RULES, source: 'default' };
+  }
+
+  return {
+    opens_minutes_before: rule.opens_minutes_before,
+    closes_minutes_before: rule.closes_minutes_before,
+    boarding_minutes_before: rule.boarding_minutes_before,
+    source: rule.to_airport_code ? 'route' : 'airport'
+  };
+}
+
+// When check-in opens and closes and boarding starts for a departure
+function getCheckInWindow(departure, rules) {
+  return {
+    departure: new Date(departure),
+    opens_at: minutesBefore(departure, rules.opens_minutes_before),
+    closes_at: minutesBefore(departure, rules.closes_minutes_before),
+    boarding_time: minutesBefore(departure, rules.boarding_minutes_before)
+  };
+}
+
+// The window for responses, with local times at the departure airport
+function describeCheckInWindow(window, rules, timeZone) {
+  return {
+    opens_at: window.opens_at,
+    opens_local: toLocalIso(window.opens_at, timeZone || undefined),
+    closes_at: window.closes_at,
+    closes_local: toLocalIso(window.closes_at, timeZone || undefined),
+    boarding_time: window.boarding_time,
+    boarding_time_local: toLocalIso(window.boarding_time, timeZone || undefined),
+    rules_source: rules.source
+  };
+}
+
+// Returns why check-in isn't possible right now, or null if it is open
+function checkInWindowError(window, now = new Date()) {
+  if (now >= window.departure) {
+    return 'Flight has already departed';
+  }
+  if (now >= window.closes_at) {
+    return 'Check-in for this flight has closed';
+  }
+  if (now < window.opens_at) {
+    const hoursUntilOpen = Math.ceil((window.opens_at - now) / (1000 * 60 * 60));
+    return `Check-in is not open yet. Check-in will be available ${hoursUntilOpen} hours from now.`;
+  }
+  return null;
+}
+
+// Lap infants travel with an adult, so they can only be checked in while an
+// adult on the booking is. `passengers` carry passenger_type and the
+// check_in_status they would end up with. Returns an error message or null.
+function checkInfantEscort(passengers) {
+  const checkedIn = passengers.filter(passenger => passenger.check_in_status === 'checked_in');
+  const infants = checkedIn.filter(passenger => passenger.passenger_type === 'infant').length;
+  const adults = checkedIn.filter(passenger => passenger.passenger_type === 'adult').length;
+
+  if (infants > adults) {
+    return 'Each checked-in infant must travel with a checked-in adult';
+  }
+  return null;
+}
+
+// Passengers on a booking with their check-in status, in booking order
+async function getPassengerCheckIns(connection, bookingId) {
+  const [rows] = await connection.execute(
+    `SELECT bp.booking_passenger_id, bp.passenger_id, bp.passenger_type, bp.seat_number,
+            bp.check_in_status, bp.checked_in_at, p.first_name, p.last_name, p.date_of_birth,
+            p.passport_number, p.passport_issuing_country, p.passport_expiry_date
+     FROM booking_passengers bp
+     INNER JOIN passengers p ON bp.passenger_id = p.passenger_id
+     WHERE bp.booking_id = ?
+     ORDER BY bp.booking_passenger_id`,
+    [bookingId]
+  );
+  return rows;
+}
+
+// Set passengers' check-in status; undoing a check-in withdraws the
+// boarding pass
+async function setPassengerCheckInStatus(connection, bookingPassengerIds, status) {
+  for (const bookingPassengerId of bookingPassengerIds) {
+    await connection.execute(
+      `UPDATE booking_passengers
+       SET check_in_status = ?, checked_in_at = ${status === 'checked_in' ? 'NOW()' : 'NULL'}
+       WHERE booking_passenger_id = ?`,
+      [status, bookingPassengerId]
+    );
+
+    if (status !== 'checked_in') {
+      await connection.execute('DELETE FROM boarding_passes WHERE booking_passenger_id = ?', [bookingPassengerId]);
+    }
+  }
+}
+
+// Drop the booking's check-in record once nobody on it is checked in.
+// Returns true if it was removed.
+async function removeCheckInIfEmpty(connection, bookingId) {
+  const [rows] = await connection.execute(
+    `SELECT COUNT(*) as checked_in FROM booking_passengers
+     WHERE booking_id = ? AND check_in_status = 'checked_in'`,
+    [bookingId]
+  );
+
+  if (rows[0].checked_in > 0) {
+    return false;
+  }
+
+  await connection.execute('DELETE FROM check_ins WHERE booking_id = ?', [bookingId]);
+  return true;
+}
+
+module.exports = {
+  BOARDING_CLOSE_MINUTES,
+  DEFAULT_CHECK_IN_RULES,
+  boardingClosesAt,
+  validateCheckInRules,
+  getCheckInRules,
+  getCheckInWindow,
+  describeCheckInWindow,
+  checkInWindowError,
+  checkInfantEscort,
+  getPassengerCheckIns,
+  setPassengerCheckInStatus,
+  removeCheckInIfEmpty
+};
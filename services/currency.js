@@ -0,0 +1,159 @@
+const { DEFAULT_CURRENCY } = require('./payments');
+const { roundPrice } = require('./pricing');
+const { summarizeLines } = require('./priceBreakdown');
+
+// Amounts are stored in the currency they were charged in. `exchange_rates`
+// holds, per currency, how many units of it one unit of DEFAULT_CURRENCY
+// buys; every conversion goes through DEFAULT_CURRENCY. Converted amounts
+// are for display and reporting only - charges and refunds always use the
+// booking's own currency.
+
+const REPORTING_CURRENCY = (process.env.REPORTING_CURRENCY || DEFAULT_CURRENCY).toUpperCase();
+
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+function normalizeCurrencyCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : code;
+}
+
+// Rates keyed by currency code, always including DEFAULT_CURRENCY at 1
+async function getExchangeRates(connection) {
+  const [rows] = await connection.execute('SELECT currency, rate FROM exchange_rates');
+
+  const rates = { [DEFAULT_CURRENCY]: 1 };
+  for (const row of rows) {
+    rates[row.currency] = parseFloat(row.rate);
+  }
+  return rates;
+}
+
+function getExchangeRate(from, to, rates) {
+  if (from === to) {
+    return 1;
+  }
+  if (!rates[from] || !rates[to]) {
+    throw new Error(`No exchange rate between ${from} and ${to}`);
+  }
+  return rates[to] / rates[from];
+}
+
+function convertAmount(amount, from, to, rates) {
+  return roundPrice((parseFloat(amount) || 0) * getExchangeRate(from, to, rates));
+}
+
+// Convert every line of a price breakdown, then re-total
+function convertBreakdown(breakdown, to, rates) {
+  const lines = breakdown.lines.map(line => {
+    const unitAmount = convertAmount(line.unit_amount, breakdown.currency, to, rates);
+    return { ...line, unit_amount: unitAmount, amount: roundPrice(unitAmount * line.quantity) };
+  });
+
+  return { currency: to, lines, ...summarizeLines(lines) };
+}
+
+// Validate a requested display currency. Returns {} when none was asked
+// for, { currency, rates } when it can be shown, or { error }.
+async function resolveDisplayCurrency(connection, code) {
+  if (code === undefined || code === null || code === '') {
+    return {};
+  }
+
+  const currency = normalizeCurrencyCode(code);
+  if (!CURRENCY_CODE_PATTERN.test(currency)) {
+    return { error: 'Currency must be a 3-letter ISO 4217 code' };
+  }
+
+  const rates = await getExchangeRates(connection);
+  if (!rates[currency]) {
+    return { error: `Currency ${currency} is not supported` };
+  }
+
+  return { currency, rates };
+}
+
+// Price fields of a search result (flight, connecting itinerary or round
+// trip) converted from DEFAULT_CURRENCY for display
+function displayPrices(item, currency, rates) {
+  const convert = amount => convertAmount(amount, DEFAULT_CURRENCY, currency, rates);
+  const display = {
+    currency,
+    exchange_rate: getExchangeRate(DEFAULT_CURRENCY, currency, rates)
+  };
+
+  for (const field of ['price', 'total_price']) {
+    if (item[field] !== undefined) {
+      display[field] = convert(item[field]);
+    }
+  }
+
+  for (const field of ['prices', 'combined_prices']) {
+    if (item[field]) {
+      display[field] = {};
+      for (const [flightClass, amount] of Object.entries(item[field])) {
+        display[field][flightClass] = convert(amount);
+      }
+    }
+  }
+
+  if (item.price_breakdown) {
+    display.price_breakdown = convertBreakdown(item.price_breakdown, currency, rates);
+  }
+
+  return display;
+}
+
+// A booking's amounts converted from its own currency for display
+function displayBookingAmounts(booking, breakdown, currency, rates) {
+  const from = booking.currency || DEFAULT_CURRENCY;
+  const convert = amount => (amount === null || amount === undefined ? amount : convertAmount(amount, from, currency, rates));
+
+  return {
+    currency,
+    exchange_rate: getExchangeRate(from, currency, rates),
+    total_amount: convert(booking.total_amount),
+    cancellation_fee: convert(booking.cancellation_fee),
+    refund_amount: convert(booking.refund_amount),
+    price_breakdown: breakdown ? convertBreakdown(breakdown, currency, rates) : null
+  };
+}
+
+// Merge rows that were grouped by currency (and optionally `keyFields`)
+// into one row per key with `amountFields` converted to `to`
+function foldByCurrency(rows, { keyFields = [], amountFields, to, rates }) {
+  const merged = new Map();
+
+  for (const row of rows || []) {
+    const key = keyFields.map(field => row[field]).join('|');
+    if (!merged.has(key)) {
+      const base = {};
+      for (const field of keyFields) {
+        base[field] = row[field];
+      }
+      for (const field of amountFields) {
+        base[field] = 0;
+      }
+      merged.set(key, base);
+    }
+
+    const target = merged.get(key);
+    for (const field of amountFields) {
+      target[field] = roundPrice(target[field] + convertAmount(row[field], row.currency || DEFAULT_CURRENCY, to, rates));
+    }
+  }
+
+  return [...merged.values()];
+}
+
+module.exports = {
+  REPORTING_CURRENCY,
+  CURRENCY_CODE_PATTERN,
+  normalizeCurrencyCode,
+  getExchangeRates,
+  getExchangeRate,
+  convertAmount,
+  convertBreakdown,
+  resolveDisplayCurrency,
+  displayPrices,
+  displayBookingAmounts,
+  foldByCurrency
+};
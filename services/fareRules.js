@@ -0,0 +1,133 @@
+// Fare rules per cabin class, stored in `fare_rules`:
+//   refundable        - whether any money is returned on cancellation
+//   change_fee        - flat fee charged per passenger when rebooking
+//   cancellation_fees - tiers by time to departure, e.g.
+//     [{ min_hours_before: 168, fee_percent: 10, fee_amount: 0 }, ...]
+//   The first tier (highest min_hours_before) that the booking qualifies
+//   for applies.
+
+const { roundPrice } = require('./pricing');
+
+// Used for classes that have no row in fare_rules
+const DEFAULT_FARE_RULES = {
+  economy: {
+    refundable: true,
+    change_fee: 50,
+    cancellation_fees: [
+      { min_hours_before: 168, fee_percent: 10, fee_amount: 0 },
+      { min_hours_before: 24, fee_percent: 25, fee_amount: 0 },
+      { min_hours_before: 0, fee_percent: 50, fee_amount: 0 }
+    ]
+  },
+  business: {
+    refundable: true,
+    change_fee: 25,
+    cancellation_fees: [
+      { min_hours_before: 72, fee_percent: 0, fee_amount: 0 },
+      { min_hours_before: 24, fee_percent: 10, fee_amount: 0 },
+      { min_hours_before: 0, fee_percent: 25, fee_amount: 0 }
+    ]
+  },
+  first: {
+    refundable: true,
+    change_fee: 0,
+    cancellation_fees: [
+      { min_hours_before: 24, fee_percent: 0, fee_amount: 0 },
+      { min_hours_before: 0, fee_percent: 10, fee_amount: 0 }
+    ]
+  }
+};
+
+// Returns an error message for invalid cancellation tiers, or null
+function validateCancellationFees(tiers) {
+  if (!Array.isArray(tiers)) {
+    return 'Cancellation fees must be an array of tiers';
+  }
+
+  // An empty list would keep the whole amount on every cancellation
+  if (tiers.length === 0) {
+    return 'Cancellation fees need at least one tier';
+  }
+
+  for (const tier of tiers) {
+    if (!tier || typeof tier.min_hours_before !== 'number' || tier.min_hours_before < 0) {
+      return 'Each tier needs a non-negative min_hours_before';
+    }
+    if (tier.fee_percent !== undefined && (typeof tier.fee_percent !== 'number' || tier.fee_percent < 0 || tier.fee_percent > 100)) {
+      return 'fee_percent must be between 0 and 100';
+    }
+    if (tier.fee_amount !== undefined && (typeof tier.fee_amount !== 'number' || tier.fee_amount < 0)) {
+      return 'fee_amount must be a non-negative number';
+    }
+  }
+
+  return null;
+}
+
+function normalizeFareRule(flightClass, row) {
+  if (!row) {
+    return { class: flightClass, ...DEFAULT_FARE_RULES[flightClass], is_default: true };
+  }
+
+  const cancellationFees = typeof row.cancellation_fees === 'string'
+    ? JSON.parse(row.cancellation_fees)
+    : row.cancellation_fees;
+
+  return {
+    class: row.class,
+    refundable: Boolean(row.refundable),
+    change_fee: parseFloat(row.change_fee || 0),
+    cancellation_fees: cancellationFees || [],
+    is_default: false
+  };
+}
+
+// Fare rule for a class; `connection` may be a pool or a transaction connection
+async function getFareRule(connection, flightClass) {
+  const [rows] = await connection.execute(
+    'SELECT * FROM fare_rules WHERE class = ?',
+    [flightClass]
+  );
+  return normalizeFareRule(flightClass, rows[0]);
+}
+
+// Work out what a cancellation costs and how much goes back to the customer
+function calculateCancellation(rule, { amountPaid, departureDatetime, now = new Date() }) {
+  const hoursBeforeDeparture = (new Date(departureDatetime) - now) / (1000 * 60 * 60);
+  const paid = roundPrice(parseFloat(amountPaid) || 0);
+
+  const breakdown = {
+    amount_paid: paid,
+    refundable: rule.refundable,
+    hours_before_departure: Math.max(0, Math.floor(hoursBeforeDeparture)),
+    applied_tier: null,
+    cancellation_fee: paid,
+    refund_amount: 0
+  };
+
+  if (!rule.refundable || paid === 0) {
+    return breakdown;
+  }
+
+  const tier = [...rule.cancellation_fees]
+    .sort((a, b) => b.min_hours_before - a.min_hours_before)
+    .find(t => hoursBeforeDeparture >= t.min_hours_before);
+
+  if (!tier) {
+    return breakdown;
+  }
+
+  const fee = Math.min(paid, roundPrice(paid * (tier.fee_percent || 0) / 100 + (tier.fee_amount || 0)));
+
+  breakdown.applied_tier = tier;
+  breakdown.cancellation_fee = fee;
+  breakdown.refund_amount = roundPrice(paid - fee);
+  return breakdown;
+}
+
+module.exports = {
+  DEFAULT_FARE_RULES,
+  validateCancellationFees,
+  getFareRule,
+  calculateCancellation
+};
@@ -0,0 +1,322 @@
+const { pool, query } = require('../config/database');
+const { getSeatInventory } = require('./availability');
+const { roundPrice, priceFromInventory } = require('./pricing');
+const { getTaxRates, buildPriceBreakdown } = require('./priceBreakdown');
+const { displayPrices } = require('./currency');
+const { rowDistance, totalDistance } = require('./geo');
+const { ACTIVE_AIRPORTS_SQL, getAirportTimezones } = require('./airports');
+const { localDayRange, attachLocalTimes } = require('./timezones');
+
+// Connection rules (minutes / hours), overridable per deployment
+const DEFAULT_MIN_CONNECTION_MINUTES = parseInt(process.env.DEFAULT_MIN_CONNECTION_MINUTES) || 45;
+const MAX_JOURNEY_HOURS = parseInt(process.env.MAX_JOURNEY_HOURS) || 24;
+const MAX_CONNECTING_RESULTS = 50;
+
+// Columns returned for every flight leg in search results
+const FLIGHT_LEG_SELECT = `
+  SELECT
+    f.flight_id,
+    f.flight_number,
+    f.departure_datetime,
+    f.arrival_datetime,
+    f.status,
+    f.base_price,
+    f.business_price,
+    f.first_class_price,
+    f.aircraft_id,
+    a.model as aircraft_model,
+    a.capacity,
+    a.economy_seats,
+    a.business_seats,
+    a.first_class_seats,
+    dep.airport_code as from_code,
+    dep.airport_name as from_name,
+    dep.city as from_city,
+    dep.country as from_country,
+    dep.latitude as from_latitude,
+    dep.longitude as from_longitude,
+    dep.timezone as from_timezone,
+    arr.airport_code as to_code,
+    arr.airport_name as to_name,
+    arr.city as to_city,
+    arr.country as to_country,
+    arr.latitude as to_latitude,
+    arr.longitude as to_longitude,
+    arr.timezone as to_timezone
+  FROM flights f
+  INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
+  INNER JOIN airports arr ON f.to_airport_code = arr.airport_code
+  INNER JOIN aircraft a ON f.aircraft_id = a.aircraft_id
+  WHERE f.status IN ('scheduled', 'boarding') AND ${ACTIVE_AIRPORTS_SQL}
+`;
+
+// Fetch bookable flights matching the given filters, with their route
+// distance and local times (no availability attached). `date` is a local
+// calendar date at the origin airport.
+async function findFlights({ from, to, date, departureAfter, departureBefore }) {
+  let sql = FLIGHT_LEG_SELECT;
+  const params = [];
+
+  if (from) {
+    sql += ' AND f.from_airport_code = ?';
+    params.push(from);
+  }
+
+  if (to) {
+    sql += ' AND f.to_airport_code = ?';
+    params.push(to);
+  }
+
+  if (date && from) {
+    const [timezone] = Object.values(await getAirportTimezones(pool, [from]));
+    const { start, end } = localDayRange(date, timezone);
+    sql += ' AND f.departure_datetime >= ? AND f.departure_datetime < ?';
+    params.push(start, end);
+  } else if (date) {
+    sql += ' AND DATE(f.departure_datetime) = ?';
+    params.push(date);
+  }
+
+  if (departureAfter) {
+    sql += ' AND f.departure_datetime >= ?';
+    params.push(departureAfter);
+  }
+
+  if (departureBefore) {
+    sql += ' AND f.departure_datetime <= ?';
+    params.push(departureBefore);
+  }
+
+  sql += ' ORDER BY f.departure_datetime ASC';
+
+  const flights = (await query(sql, params)) || [];
+  for (const flight of flights) {
+    Object.assign(flight, rowDistance(flight));
+    attachLocalTimes(flight);
+  }
+  return flights;
+}
+
+// Attach class-aware seat availability, current fares and the itemized
+// price for the requested class and passenger mix to each flight
+async function attachAvailability(flights, flightClass, passengers) {
+  const taxRatesByRoute = {};
+
+  for (let flight of flights) {
+    const inventory = await getSeatInventory(pool, flight);
+    const fares = priceFromInventory(flight, inventory);
+
+    flight.available_seats_by_class = inventory.available;
+    flight.available_seats = inventory.available[flightClass] ?? inventory.available.economy;
+    flight.prices = {
+      economy: fares.economy.price,
+      business: fares.business.price,
+      first: fares.first.price
+    };
+    flight.price = (fares[flightClass] || fares.economy).price;
+
+    const routeKey = `${flight.from_country}|${flight.to_country}`;
+    if (!taxRatesByRoute[routeKey]) {
+      taxRatesByRoute[routeKey] = await getTaxRates(pool, flight.from_country, flight.to_country);
+    }
+
+    flight.price_breakdown = buildPriceBreakdown({
+      fare: fares[flightClass] || fares.economy,
+      flightClass,
+      passengers,
+      taxRates: taxRatesByRoute[routeKey]
+    });
+    flight.total_price = flight.price_breakdown.total;
+  }
+
+  return flights;
+}
+
+// Look up direct flights for one leg and attach seat availability and pricing
+async function searchDirectFlights({ from, to, date, flightClass, passengers }) {
+  const flights = await findFlights({ from, to, date });
+  return attachAvailability(flights, flightClass, passengers);
+}
+
+// Pair outbound and inbound legs into round-trip itineraries.
+// An inbound leg only qualifies if it departs after the outbound leg
+// arrives, and both legs need `seatsNeeded` seats in the searched class.
+function pairRoundTrips(outboundFlights, inboundFlights, seatsNeeded = 1) {
+  const itineraries = [];
+
+  for (const outbound of outboundFlights) {
+    if (outbound.available_seats < seatsNeeded) {
+      continue;
+    }
+
+    for (const inbound of inboundFlights) {
+      if (inbound.available_seats < seatsNeeded ||
+          new Date(inbound.departure_datetime) <= new Date(outbound.arrival_datetime)) {
+        continue;
+      }
+
+      const combinedPrices = {
+        economy: roundPrice(outbound.prices.economy + inbound.prices.economy),
+        business: roundPrice(outbound.prices.business + inbound.prices.business),
+        first: roundPrice(outbound.prices.first + inbound.prices.first)
+      };
+      const price = roundPrice(outbound.price + inbound.price);
+
+      itineraries.push({
+        outbound,
+        inbound,
+        combined_prices: combinedPrices,
+        price,
+        total_price: roundPrice(outbound.total_price + inbound.total_price),
+        ...totalDistance([outbound, inbound]),
+        available_seats: {
+          outbound: outbound.available_seats,
+          inbound: inbound.available_seats
+        }
+      });
+    }
+  }
+
+  return itineraries.sort((a, b) => a.price - b.price);
+}
+
+// Minimum connection time per airport, falling back to the default
+async function getMinConnectionTimes() {
+  const rows = await query(
+    'SELECT airport_code, min_connection_minutes FROM airports WHERE min_connection_minutes IS NOT NULL'
+  );
+
+  const times = {};
+  for (const row of rows || []) {
+    times[row.airport_code] = row.min_connection_minutes;
+  }
+  return times;
+}
+
+function minutesBetween(start, end) {
+  return Math.round((new Date(end) - new Date(start)) / (1000 * 60));
+}
+
+function buildItinerary(legs) {
+  const first = legs[0];
+  const last = legs[legs.length - 1];
+  const price = roundPrice(legs.reduce((sum, leg) => sum + leg.price, 0));
+
+  const connections = [];
+  for (let i = 1; i < legs.length; i++) {
+    connections.push({
+      airport_code: legs[i].from_code,
+      airport_name: legs[i].from_name,
+      city: legs[i].from_city,
+      layover_minutes: minutesBetween(legs[i - 1].arrival_datetime, legs[i].departure_datetime)
+    });
+  }
+
+  return {
+    legs,
+    stops: legs.length - 1,
+    connections,
+    departure_datetime: first.departure_datetime,
+    arrival_datetime: last.arrival_datetime,
+    departure_local: first.departure_local,
+    arrival_local: last.arrival_local,
+    duration_minutes: minutesBetween(first.departure_datetime, last.arrival_datetime),
+    ...totalDistance(legs),
+    price,
+    total_price: roundPrice(legs.reduce((sum, leg) => sum + leg.total_price, 0)),
+    available_seats: Math.min(...legs.map(leg => leg.available_seats))
+  };
+}
+
+// Build 1- and 2-stop itineraries from `from` to `to` departing on `date`.
+// Each connection must respect the connecting airport's minimum connection
+// time and the whole journey must fit within MAX_JOURNEY_HOURS.
+async function searchConnectingItineraries({ from, to, date, flightClass, passengers, maxStops = 2 }) {
+  if (!from || !to || !date || from === to || maxStops < 1) {
+    return [];
+  }
+
+  const firstLegs = await findFlights({ from, date });
+  if (firstLegs.length === 0) {
+    return [];
+  }
+
+  const windowStart = firstLegs[0].departure_datetime;
+  const windowEnd = new Date(
+    new Date(firstLegs[firstLegs.length - 1].departure_datetime).getTime() + MAX_JOURNEY_HOURS * 60 * 60 * 1000
+  );
+
+  const onwardLegs = await findFlights({ departureAfter: windowStart, departureBefore: windowEnd });
+  const minConnectionTimes = await getMinConnectionTimes();
+
+  const legsByOrigin = {};
+  for (const leg of onwardLegs) {
+    (legsByOrigin[leg.from_code] = legsByOrigin[leg.from_code] || []).push(leg);
+  }
+
+  const maxJourneyMinutes = MAX_JOURNEY_HOURS * 60;
+  const paths = [];
+
+  function extend(path, visited) {
+    const last = path[path.length - 1];
+
+    if (last.to_code === to) {
+      if (path.length > 1) {
+        paths.push(path);
+      }
+      return;
+    }
+
+    if (path.length > maxStops) {
+      return;
+    }
+
+    const minConnection = minConnectionTimes[last.to_code] ?? DEFAULT_MIN_CONNECTION_MINUTES;
+
+    for (const next of legsByOrigin[last.to_code] || []) {
+      if (visited.has(next.to_code)) continue;
+      if (minutesBetween(last.arrival_datetime, next.departure_datetime) < minConnection) continue;
+      if (minutesBetween(path[0].departure_datetime, next.arrival_datetime) > maxJourneyMinutes) continue;
+
+      extend([...path, next], new Set([...visited, next.to_code]));
+    }
+  }
+
+  for (const leg of firstLegs) {
+    extend([leg], new Set([from, leg.to_code]));
+  }
+
+  // Only look up availability for legs that made it into an itinerary
+  const usedLegs = [...new Set(paths.flat())];
+  await attachAvailability(usedLegs, flightClass, passengers);
+
+  return paths
+    .map(legs => buildItinerary(legs))
+    .sort((a, b) => a.duration_minutes - b.duration_minutes || a.price - b.price)
+    .slice(0, MAX_CONNECTING_RESULTS);
+}
+
+// Add a `display` block with prices in another currency to search results,
+// including the legs of connecting and round-trip itineraries
+function attachDisplayPrices(results, currency, rates) {
+  for (const item of results) {
+    item.display = displayPrices(item, currency, rates);
+
+    for (const leg of [...(item.legs || []), item.outbound, item.inbound]) {
+      if (leg) {
+        leg.display = displayPrices(leg, currency, rates);
+      }
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  findFlights,
+  attachAvailability,
+  searchDirectFlights,
+  pairRoundTrips,
+  searchConnectingItineraries,
+  attachDisplayPrices
+};
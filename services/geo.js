@@ -0,0 +1,69 @@
+// Route distances from airport coordinates (airports.latitude/longitude,
+// decimal degrees). Distances are great-circle, i.e. the shortest path over
+// the Earth's surface, which is what airlines quote as route distance.
+
+const EARTH_RADIUS_KM = 6371.0088;
+const KM_PER_MILE = 1.609344;
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+function hasCoordinates(point) {
+  return Boolean(point) &&
+    point.latitude !== null && point.latitude !== undefined &&
+    point.longitude !== null && point.longitude !== undefined;
+}
+
+// Haversine distance in km between two { latitude, longitude } points,
+// or null if either has no coordinates
+function greatCircleKm(from, to) {
+  if (!hasCoordinates(from) || !hasCoordinates(to)) {
+    return null;
+  }
+
+  const lat1 = toRadians(parseFloat(from.latitude));
+  const lat2 = toRadians(parseFloat(to.latitude));
+  const deltaLat = lat2 - lat1;
+  const deltaLon = toRadians(parseFloat(to.longitude) - parseFloat(from.longitude));
+
+  const a = Math.sin(deltaLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(deltaLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// { distance_km, distance_miles } rounded to whole units; both null when
+// the distance is unknown
+function routeDistance(from, to) {
+  const km = greatCircleKm(from, to);
+  return {
+    distance_km: km === null ? null : Math.round(km),
+    distance_miles: km === null ? null : Math.round(km / KM_PER_MILE)
+  };
+}
+
+// Distance for a row that carries the departure and arrival coordinates as
+// from_latitude/from_longitude and to_latitude/to_longitude
+function rowDistance(row) {
+  return routeDistance(
+    { latitude: row.from_latitude, longitude: row.from_longitude },
+    { latitude: row.to_latitude, longitude: row.to_longitude }
+  );
+}
+
+// Sum of leg distances; null if any leg's distance is unknown
+function totalDistance(legs) {
+  const known = legs.every(leg => leg.distance_km !== null && leg.distance_km !== undefined);
+  return {
+    distance_km: known ? legs.reduce((sum, leg) => sum + leg.distance_km, 0) : null,
+    distance_miles: known ? legs.reduce((sum, leg) => sum + leg.distance_miles, 0) : null
+  };
+}
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  KM_PER_MILE,
+  greatCircleKm,
+  routeDistance,
+  rowDistance,
+  totalDistance
+};
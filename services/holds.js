@@ -0,0 +1,67 @@
+const { query, pool } = require('../config/database');
+const { releasePromoRedemptions } = require('./promoCodes');
+const { releasePointsPayments } = require('./loyalty');
+
+// How long a pending (unpaid) booking keeps its seats, and how often the
+// server sweeps for lapsed holds
+const SEAT_HOLD_MINUTES = parseInt(process.env.SEAT_HOLD_MINUTES) || 15;
+const HOLD_SWEEP_INTERVAL_SECONDS = parseInt(process.env.HOLD_SWEEP_INTERVAL_SECONDS) || 60;
+
+// SQL condition (on bookings alias `b`) for bookings that still hold seats:
+// anything not cancelled, except pending bookings whose hold has lapsed
+const ACTIVE_BOOKING_SQL = `b.status != 'cancelled'
+  AND NOT (b.status = 'pending' AND b.hold_expires_at IS NOT NULL AND b.hold_expires_at <= NOW())`;
+
+function isHoldExpired(booking) {
+  return booking.status === 'pending' &&
+    booking.hold_expires_at !== null &&
+    booking.hold_expires_at !== undefined &&
+    new Date(booking.hold_expires_at) <= new Date();
+}
+
+// Cancel pending bookings whose hold has expired, giving back any promo
+// code uses and points paid. Returns the number released.
+async function releaseExpiredHolds() {
+  const result = await query(
+    `UPDATE bookings
+     SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+     WHERE status = 'pending' AND hold_expires_at IS NOT NULL AND hold_expires_at <= NOW()`
+  );
+  await releasePromoRedemptions(pool);
+  await releasePointsPayments(pool);
+  return result.affectedRows || 0;
+}
+
+// Run releaseExpiredHolds (and send pending refunds) on an interval inside
+// the server process
+function startHoldSweeper() {
+  const timer = setInterval(async () => {
+    try {
+      const released = await releaseExpiredHolds();
+      if (released > 0) {
+        console.log(`Released ${released} expired seat hold(s)`);
+      }
+
+      // Refunds left unsent (e.g. the server stopped right after commit).
+      // Loaded here: payments requires this module.
+      const refunded = await require('./payments').processPendingRefunds();
+      if (refunded > 0) {
+        console.log(`Sent ${refunded} pending refund(s)`);
+      }
+    } catch (error) {
+      console.error('Seat hold sweeper error:', error.message);
+    }
+  }, HOLD_SWEEP_INTERVAL_SECONDS * 1000);
+
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  SEAT_HOLD_MINUTES,
+  ACTIVE_BOOKING_SQL,
+  isHoldExpired,
+  releaseExpiredHolds,
+  startHoldSweeper
+};
@@ -0,0 +1,301 @@
+// Frequent flyer program. Completed, paid bookings earn points for the
+// booking's user, scaled by distance flown and cabin class; the tier bonus
+// adds to the points earned but not to the qualifying points that decide
+// the tier. Tiers are reassessed over a rolling window. Points can pay for
+// bookings at LOYALTY_POINT_VALUE each, recorded as a payment with the
+// 'loyalty' provider so refunds give them back like any other payment.
+
+const { rowDistance } = require('./geo');
+
+const LOYALTY_PROVIDER = 'loyalty';
+
+// Value of one point in the default currency
+const LOYALTY_POINT_VALUE = parseFloat(process.env.LOYALTY_POINT_VALUE) || 0.01;
+
+// Points per mile flown, by cabin class
+const LOYALTY_CLASS_MULTIPLIERS = {
+  economy: 1,
+  business: 2,
+  first: 3
+};
+
+// Highest tier first. `qualifying_points` is the threshold over the rolling
+// window; `bonus` is the extra share of points earned on each flight.
+const LOYALTY_TIERS = [
+  { tier: 'gold', qualifying_points: 50000, bonus: 0.5 },
+  { tier: 'silver', qualifying_points: 25000, bonus: 0.25 },
+  { tier: 'member', qualifying_points: 0, bonus: 0 }
+];
+
+const TIER_WINDOW_MONTHS = parseInt(process.env.LOYALTY_TIER_WINDOW_MONTHS) || 12;
+
+// Points are earned on the great-circle route distance. For airports
+// without coordinates it is estimated from the scheduled flight time at a
+// typical cruise speed, less taxiing.
+const CRUISE_MILES_PER_MINUTE = 8;
+const TAXI_MINUTES = 20;
+const MIN_ACCRUAL_MILES = 250;
+
+function estimateFlightMiles(flight) {
+  const minutes = (new Date(flight.arrival_datetime) - new Date(flight.departure_datetime)) / 60000;
+  return Math.round((minutes - TAXI_MINUTES) * CRUISE_MILES_PER_MINUTE);
+}
+
+// Miles credited for a flight row with from_/to_ coordinates
+function flightMiles(flight) {
+  const { distance_miles: miles } = rowDistance(flight);
+  return Math.max(MIN_ACCRUAL_MILES, miles ?? estimateFlightMiles(flight));
+}
+
+function getTier(qualifyingPoints) {
+  return LOYALTY_TIERS.find(tier => qualifyingPoints >= tier.qualifying_points);
+}
+
+// Money value of points, and the whole points needed to cover an amount
+function pointsValue(points) {
+  return Math.round(points * LOYALTY_POINT_VALUE * 100) / 100;
+}
+
+function pointsForAmount(amount) {
+  return Math.round(amount / LOYALTY_POINT_VALUE);
+}
+
+function formatLoyaltyNumber(userId) {
+  return 'SW' + String(userId).padStart(8, '0');
+}
+
+// The user's account, opened on first use
+async function getLoyaltyAccount(connection, userId) {
+  await connection.execute(
+    'INSERT IGNORE INTO loyalty_accounts (user_id, loyalty_number) VALUES (?, ?)',
+    [userId, formatLoyaltyNumber(userId)]
+  );
+
+  const [rows] = await connection.execute('SELECT * FROM loyalty_accounts WHERE user_id = ?', [userId]);
+  return rows[0];
+}
+
+// Qualifying points from flights within the rolling window
+async function getQualifyingPoints(connection, userId) {
+  const [rows] = await connection.execute(
+    `SELECT COALESCE(SUM(qualifying_points), 0) as qualifying_points
+     FROM loyalty_transactions
+     WHERE user_id = ? AND activity_date >= DATE_SUB(NOW(), INTERVAL ? MONTH)`,
+    [userId, TIER_WINDOW_MONTHS]
+  );
+  return parseInt(rows[0].qualifying_points);
+}
+
+// Reassess the tier from the rolling window. Returns the tier entry along
+// with the qualifying points it was based on.
+async function refreshTier(connection, userId) {
+  const account = await getLoyaltyAccount(connection, userId);
+  const qualifyingPoints = await getQualifyingPoints(connection, userId);
+  const tier = getTier(qualifyingPoints);
+
+  if (tier.tier !== account.tier) {
+    await connection.execute(
+      `UPDATE loyalty_accounts
+       SET tier = ?, tier_updated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = ?`,
+      [tier.tier, userId]
+    );
+  }
+
+  return { ...tier, qualifyingPoints };
+}
+
+async function addTransaction(connection, { userId, bookingId = null, type, points, qualifyingPoints = 0, activityDate = new Date(), description }) {
+  await connection.execute(
+    `INSERT INTO loyalty_transactions (
+      user_id, booking_id, type, points, qualifying_points, activity_date, description
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [userId, bookingId, type, points, qualifyingPoints, activityDate, description]
+  );
+
+  await connection.execute(
+    `UPDATE loyalty_accounts
+     SET points_balance = points_balance + ?, updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = ?`,
+    [points, userId]
+  );
+}
+
+// Net accrual transactions for a booking (accruals less reversals)
+async function getBookingAccruals(connection, bookingId) {
+  const [rows] = await connection.execute(
+    `SELECT type, points, qualifying_points, activity_date
+     FROM loyalty_transactions
+     WHERE booking_id = ? AND type IN ('accrual', 'reversal')
+     ORDER BY transaction_id DESC`,
+    [bookingId]
+  );
+  const accruals = rows.filter(row => row.type === 'accrual').length;
+  const reversals = rows.filter(row => row.type === 'reversal').length;
+
+  return { last: rows.find(row => row.type === 'accrual'), outstanding: accruals > reversals };
+}
+
+// Credit a completed, paid booking once its flight has landed. Returns
+// { points, qualifying_points, miles } or null when nothing was earned.
+async function accrueBookingPoints(connection, bookingId) {
+  const [bookingRows] = await connection.execute(
+    `SELECT b.booking_id, b.user_id, b.class, b.status, b.payment_status,
+            f.flight_number, f.departure_datetime, f.arrival_datetime,
+            dep.latitude as from_latitude, dep.longitude as from_longitude,
+            arr.latitude as to_latitude, arr.longitude as to_longitude
+     FROM bookings b
+     INNER JOIN flights f ON b.flight_id = f.flight_id
+     INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
+     INNER JOIN airports arr ON f.to_airport_code = arr.airport_code
+     WHERE b.booking_id = ?`,
+    [bookingId]
+  );
+  const booking = bookingRows[0];
+
+  if (!booking || booking.status !== 'completed' || booking.payment_status !== 'paid' ||
+      new Date(booking.arrival_datetime) > new Date()) {
+    return null;
+  }
+
+  if ((await getBookingAccruals(connection, bookingId)).outstanding) {
+    return null;
+  }
+
+  const { bonus } = await refreshTier(connection, booking.user_id);
+  const miles = flightMiles(booking);
+  const qualifyingPoints = Math.round(miles * (LOYALTY_CLASS_MULTIPLIERS[booking.class] || 1));
+  const points = Math.round(qualifyingPoints * (1 + bonus));
+
+  await addTransaction(connection, {
+    userId: booking.user_id,
+    bookingId,
+    type: 'accrual',
+    points,
+    qualifyingPoints,
+    activityDate: booking.departure_datetime,
+    description: `Flight ${booking.flight_number} (${booking.class})`
+  });
+  await refreshTier(connection, booking.user_id);
+
+  return { points, qualifying_points: qualifyingPoints, miles };
+}
+
+// Take back the points earned on a booking that is no longer completed.
+// Returns the points removed.
+async function reverseBookingPoints(connection, bookingId) {
+  const { last, outstanding } = await getBookingAccruals(connection, bookingId);
+  if (!outstanding) {
+    return 0;
+  }
+
+  const [bookingRows] = await connection.execute('SELECT user_id FROM bookings WHERE booking_id = ?', [bookingId]);
+  const userId = bookingRows[0].user_id;
+
+  await addTransaction(connection, {
+    userId,
+    bookingId,
+    type: 'reversal',
+    points: -last.points,
+    qualifyingPoints: -last.qualifying_points,
+    activityDate: last.activity_date,
+    description: 'Points reversed: booking no longer completed'
+  });
+  await refreshTier(connection, userId);
+
+  return last.points;
+}
+
+// Spend points towards a booking. Returns false if the balance is too low.
+async function redeemPoints(connection, { userId, bookingId, points, description }) {
+  await getLoyaltyAccount(connection, userId);
+
+  const [result] = await connection.execute(
+    `UPDATE loyalty_accounts
+     SET points_balance = points_balance - ?, updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = ? AND points_balance >= ?`,
+    [points, userId, points]
+  );
+
+  if (result.affectedRows === 0) {
+    return false;
+  }
+
+  await connection.execute(
+    `INSERT INTO loyalty_transactions (user_id, booking_id, type, points, activity_date, description)
+     VALUES (?, ?, 'redemption', ?, NOW(), ?)`,
+    [userId, bookingId, -points, description]
+  );
+
+  return true;
+}
+
+// Give back the points behind part of a loyalty payment. Returns the points
+// credited.
+async function refundPointsPayment(connection, payment, amount) {
+  const [bookingRows] = await connection.execute(
+    'SELECT user_id, booking_reference FROM bookings WHERE booking_id = ?',
+    [payment.booking_id]
+  );
+  const booking = bookingRows[0];
+  const points = pointsForAmount(amount);
+
+  await addTransaction(connection, {
+    userId: booking.user_id,
+    bookingId: payment.booking_id,
+    type: 'refund',
+    points,
+    description: `Points refunded for booking ${booking.booking_reference}`
+  });
+
+  await connection.execute(
+    `UPDATE payments
+     SET status = 'refunded', refunded_amount = refunded_amount + ?, updated_at = CURRENT_TIMESTAMP
+     WHERE payment_id = ?`,
+    [amount, payment.payment_id]
+  );
+
+  return points;
+}
+
+// Return the points paid towards bookings that were cancelled before the
+// rest was paid (e.g. lapsed seat holds), either for one booking or all of
+// them. Returns the number of payments released.
+async function releasePointsPayments(connection, bookingId = null) {
+  const [rows] = await connection.execute(
+    `SELECT p.*
+     FROM payments p
+     INNER JOIN bookings b ON p.booking_id = b.booking_id
+     WHERE p.provider = ? AND p.status = 'succeeded'
+       AND b.status = 'cancelled' AND b.payment_status = 'pending'
+       ${bookingId !== null ? 'AND p.booking_id = ?' : ''}`,
+    bookingId !== null ? [LOYALTY_PROVIDER, bookingId] : [LOYALTY_PROVIDER]
+  );
+
+  for (const payment of rows) {
+    await refundPointsPayment(connection, payment, parseFloat(payment.amount) - parseFloat(payment.refunded_amount));
+  }
+
+  return rows.length;
+}
+
+module.exports = {
+  LOYALTY_PROVIDER,
+  LOYALTY_POINT_VALUE,
+  LOYALTY_CLASS_MULTIPLIERS,
+  LOYALTY_TIERS,
+  TIER_WINDOW_MONTHS,
+  estimateFlightMiles,
+  flightMiles,
+  getTier,
+  pointsValue,
+  pointsForAmount,
+  getLoyaltyAccount,
+  getQualifyingPoints,
+  refreshTier,
+  accrueBookingPoints,
+  reverseBookingPoints,
+  redeemPoints,
+  refundPointsPayment,
+  releasePointsPayments
+};
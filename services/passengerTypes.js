@@ -0,0 +1,172 @@
+// Passenger types by age on the day of travel (the local date at the
+// departure airport):
+//   adult  - 12 and over (also passengers without a date of birth)
+//   child  - 2 to 11, has their own seat
+//   infant - under 2, travels on an adult's lap without a seat
+// Each adult can take at most one lap infant, and every booking needs an adult.
+
+const { DEFAULT_AIRPORT_TIMEZONE, toLocalIso } = require('./timezones');
+
+const PASSENGER_TYPES = ['adult', 'child', 'infant'];
+
+const CHILD_MIN_AGE = 2;
+const ADULT_MIN_AGE = 12;
+
+// Share of the seat fare each type pays
+const PASSENGER_TYPE_FARE_MULTIPLIERS = {
+  adult: 1,
+  child: 0.75,
+  infant: 0.1
+};
+
+// YYYY-MM-DD of a date of birth (a DATE column read as UTC midnight, or a
+// date string)
+function birthDateString(dateOfBirth) {
+  return new Date(dateOfBirth).toISOString().slice(0, 10);
+}
+
+// Whole years between a date of birth and the calendar date of `date` in
+// `timeZone`
+function ageOn(dateOfBirth, date, timeZone = DEFAULT_AIRPORT_TIMEZONE) {
+  const [birthYear, birthMonth, birthDay] = birthDateString(dateOfBirth).split('-').map(Number);
+  const [year, month, day] = toLocalIso(date, timeZone).slice(0, 10).split('-').map(Number);
+
+  let age = year - birthYear;
+  if (month < birthMonth || (month === birthMonth && day < birthDay)) {
+    age--;
+  }
+  return age;
+}
+
+// Type of a passenger on a flight departing at `travelDate` from an airport
+// in `timeZone`
+function getPassengerType(dateOfBirth, travelDate, timeZone = DEFAULT_AIRPORT_TIMEZONE) {
+  if (!dateOfBirth) {
+    return 'adult';
+  }
+
+  const age = ageOn(dateOfBirth, travelDate, timeZone);
+  if (age < CHILD_MIN_AGE) {
+    return 'infant';
+  }
+  return age < ADULT_MIN_AGE ? 'child' : 'adult';
+}
+
+// Returns an error message for a date of birth that can't be used, or null
+function validateDateOfBirth(dateOfBirth, travelDate, timeZone = DEFAULT_AIRPORT_TIMEZONE) {
+  if (!dateOfBirth) {
+    return null;
+  }
+  if (isNaN(new Date(dateOfBirth).getTime())) {
+    return `Invalid date of birth: ${dateOfBirth}`;
+  }
+  if (birthDateString(dateOfBirth) > toLocalIso(travelDate, timeZone).slice(0, 10)) {
+    return 'Date of birth cannot be after the travel date';
+  }
+  return null;
+}
+
+function emptyPassengerMix() {
+  return { adult: 0, child: 0, infant: 0 };
+}
+
+// Count passenger types into { adult, child, infant }
+function countPassengerTypes(types) {
+  const mix = emptyPassengerMix();
+  for (const type of types) {
+    mix[type]++;
+  }
+  return mix;
+}
+
+// Passenger counts from request input: `adults` plus optional `children`
+// and `infants`
+function parsePassengerMix({ adults, children = 0, infants = 0 }) {
+  return {
+    adult: parseInt(adults),
+    child: parseInt(children) || 0,
+    infant: parseInt(infants) || 0
+  };
+}
+
+function totalPassengers(mix) {
+  return mix.adult + mix.child + mix.infant;
+}
+
+// Passengers who occupy a seat (lap infants don't)
+function seatedPassengers(mix) {
+  return mix.adult + mix.child;
+}
+
+// Returns an error message for a passenger mix that breaks the rules, or null
+function validatePassengerMix(mix) {
+  if (PASSENGER_TYPES.some(type => !Number.isInteger(mix[type]) || mix[type] < 0)) {
+    return 'Passenger counts must be non-negative whole numbers';
+  }
+  if (mix.adult < 1) {
+    return 'Each booking needs at least one adult passenger';
+  }
+  if (mix.infant > mix.adult) {
+    return 'Each lap infant must travel with an accompanying adult (at most one infant per adult)';
+  }
+  return null;
+}
+
+// Work out each booking passenger's type on the travel date, at the
+// departure airport (timeZone). Saved passengers (passenger_id) use the date
+// of birth on file. Returns { types, mix } or { error }.
+async function resolvePassengerTypes(connection, { userId, passengers, travelDate, timeZone = DEFAULT_AIRPORT_TIMEZONE }) {
+  const types = [];
+
+  for (const passengerData of passengers) {
+    let dateOfBirth = passengerData.date_of_birth;
+
+    if (passengerData.passenger_id) {
+      const [rows] = await connection.execute(
+        'SELECT date_of_birth FROM passengers WHERE passenger_id = ? AND user_id = ?',
+        [passengerData.passenger_id, userId]
+      );
+      if (rows.length === 0) {
+        return { error: `Saved passenger ${passengerData.passenger_id} not found` };
+      }
+      dateOfBirth = rows[0].date_of_birth;
+    }
+
+    const dateError = validateDateOfBirth(dateOfBirth, travelDate, timeZone);
+    if (dateError) {
+      return { error: dateError };
+    }
+
+    types.push(getPassengerType(dateOfBirth, travelDate, timeZone));
+  }
+
+  const mix = countPassengerTypes(types);
+  const mixError = validatePassengerMix(mix);
+  if (mixError) {
+    return { error: mixError };
+  }
+
+  return { types, mix };
+}
+
+function isSamePassengerMix(a, b) {
+  return PASSENGER_TYPES.every(type => (a?.[type] || 0) === (b?.[type] || 0));
+}
+
+module.exports = {
+  PASSENGER_TYPES,
+  CHILD_MIN_AGE,
+  ADULT_MIN_AGE,
+  PASSENGER_TYPE_FARE_MULTIPLIERS,
+  ageOn,
+  getPassengerType,
+  validateDateOfBirth,
+  emptyPassengerMix,
+  countPassengerTypes,
+  parsePassengerMix,
+  totalPassengers,
+  seatedPassengers,
+  validatePassengerMix,
+  resolvePassengerTypes,
+  isSamePassengerMix
+};
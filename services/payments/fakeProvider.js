@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+// Local payment provider for development and tests. Every payment succeeds
+// except cards ending in DECLINED_CARD_SUFFIX, and webhooks are signed with
+// an HMAC of the raw body so the callback flow can be exercised end to end.
+// The built-in webhook secret is for development only.
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET ||
+  (process.env.NODE_ENV === 'production' ? null : 'fake-webhook-secret');
+const DECLINED_CARD_SUFFIX = '0002';
+
+function randomId(prefix) {
+  return `${prefix}_fake_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+async function createIntent({ amount, currency }) {
+  const id = randomId('pi');
+  return {
+    id,
+    amount,
+    currency,
+    status: 'pending',
+    clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`
+  };
+}
+
+async function confirmIntent(intentId, paymentDetails = {}) {
+  const declined = String(paymentDetails.card_number || '').endsWith(DECLINED_CARD_SUFFIX);
+  return {
+    id: intentId,
+    status: declined ? 'failed' : 'succeeded',
+    failureReason: declined ? 'Card declined' : null
+  };
+}
+
+async function refund(intentId, amount) {
+  return {
+    id: randomId('re'),
+    intentId,
+    amount,
+    status: 'succeeded'
+  };
+}
+
+function signPayload(rawBody) {
+  return crypto.createHmac('sha256', WEBHOOK_SECRET).update(rawBody || '').digest('hex');
+}
+
+// Verify and normalize a webhook callback into { id, type, intentId, status }
+function parseWebhookEvent(rawBody, headers) {
+  if (!WEBHOOK_SECRET) {
+    throw new Error('Webhook secret is not configured');
+  }
+
+  const signature = headers['x-fake-signature'] || '';
+  const expected = signPayload(rawBody);
+
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  const event = JSON.parse(rawBody);
+  const statuses = {
+    'payment_intent.succeeded': 'succeeded',
+    'payment_intent.payment_failed': 'failed'
+  };
+
+  return {
+    id: event.id,
+    type: event.type,
+    intentId: event.data?.intent_id,
+    status: statuses[event.type] || null
+  };
+}
+
+module.exports = {
+  name: 'fake',
+  createIntent,
+  confirmIntent,
+  refund,
+  signPayload,
+  parseWebhookEvent
+};
@@ -0,0 +1,310 @@
+// Payment providers implement:
+//   createIntent({ amount, currency, paymentMethod, metadata }) -> { id, status, clientSecret }
+//   confirmIntent(intentId, paymentDetails) -> { id, status, failureReason }
+//   refund(intentId, amount) -> { id, status }
+//   parseWebhookEvent(rawBody, headers) -> { id, type, intentId, status }
+// where status is 'pending', 'succeeded' or 'failed'.
+//
+// Provider calls that move money back (refunds) never run inside a database
+// transaction: they are recorded in payment_refunds and sent by
+// processPendingRefunds once the transaction has committed.
+const { pool } = require('../../config/database');
+const { isHoldExpired } = require('../holds');
+const { detachAncillaries } = require('../ancillaries');
+const { revertBookingChange } = require('../bookingChanges');
+const { releasePromoRedemptions } = require('../promoCodes');
+const { LOYALTY_PROVIDER, refundPointsPayment, releasePointsPayments } = require('../loyalty');
+
+const providers = {
+  fake: require('./fakeProvider')
+};
+
+const PAYMENT_METHODS = ['card', 'paypal', 'bank_transfer'];
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'USD';
+
+function getPaymentProvider(name = process.env.PAYMENT_PROVIDER || 'fake') {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+}
+
+// Returns an error message when payments are left on their development
+// defaults in production (the fake provider or its built-in webhook
+// secret), or null if the configuration is usable
+function validatePaymentConfig() {
+  if (process.env.NODE_ENV !== 'production') {
+    return null;
+  }
+  if (!process.env.PAYMENT_PROVIDER || process.env.PAYMENT_PROVIDER === 'fake') {
+    return 'PAYMENT_PROVIDER must name a real payment provider in production';
+  }
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    return 'PAYMENT_WEBHOOK_SECRET must be set in production';
+  }
+  return null;
+}
+
+// Register an additional provider (e.g. a real gateway adapter)
+function registerPaymentProvider(name, provider) {
+  providers[name] = provider;
+}
+
+// Open a payment intent for a booking and record it in `payments`. A
+// payment for a flight change records the change it pays for.
+async function createBookingPayment(connection, { bookingId, bookingReference, amount, paymentMethod, bookingChangeId = null }) {
+  const provider = getPaymentProvider();
+  const intent = await provider.createIntent({
+    amount,
+    currency: DEFAULT_CURRENCY,
+    paymentMethod,
+    metadata: { booking_id: bookingId, booking_reference: bookingReference }
+  });
+
+  const [result] = await connection.execute(
+    `INSERT INTO payments (
+      booking_id, booking_change_id, provider, provider_intent_id, amount, currency, payment_method, status
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, 'pending')`,
+    [bookingId, bookingChangeId, provider.name, intent.id, amount, DEFAULT_CURRENCY, paymentMethod]
+  );
+
+  return {
+    payment_id: result.insertId,
+    provider: provider.name,
+    intent_id: intent.id,
+    client_secret: intent.clientSecret,
+    amount,
+    currency: DEFAULT_CURRENCY,
+    status: 'pending'
+  };
+}
+
+// Record loyalty points paid towards a booking. Points are taken when the
+// booking is made, so the payment is already settled.
+async function createPointsPayment(connection, { bookingId, amount }) {
+  const intentId = `${LOYALTY_PROVIDER}_${bookingId}_${Date.now()}`;
+
+  const [result] = await connection.execute(
+    `INSERT INTO payments (
+      booking_id, provider, provider_intent_id, amount, currency, payment_method, status
+    ) VALUES (?, ?, ?, ?, ?, 'points', 'succeeded')`,
+    [bookingId, LOYALTY_PROVIDER, intentId, amount, DEFAULT_CURRENCY]
+  );
+
+  return {
+    payment_id: result.insertId,
+    provider: LOYALTY_PROVIDER,
+    intent_id: intentId,
+    amount,
+    currency: DEFAULT_CURRENCY,
+    status: 'succeeded'
+  };
+}
+
+// Amount already captured for a booking, net of refunds
+async function getAmountPaid(connection, bookingId) {
+  const [rows] = await connection.execute(
+    `SELECT COALESCE(SUM(amount - refunded_amount), 0) as paid
+     FROM payments
+     WHERE booking_id = ? AND status IN ('succeeded', 'refunded')`,
+    [bookingId]
+  );
+  return Math.round(parseFloat(rows[0].paid) * 100) / 100;
+}
+
+// Record a provider refund to send after commit
+async function recordRefund(connection, payment, amount) {
+  const [result] = await connection.execute(
+    "INSERT INTO payment_refunds (payment_id, amount, status) VALUES (?, ?, 'pending')",
+    [payment.payment_id, amount]
+  );
+  return { refund_id: result.insertId, intent_id: payment.provider_intent_id, amount, status: 'pending' };
+}
+
+// Apply a provider result to the payment and its booking. Safe to call more
+// than once for the same intent: finished payments are never changed again.
+// Returns { payment, changed } or null if the intent is unknown. A payment
+// that arrives after its hold lapsed is recorded for refund, so call
+// processPendingRefunds after committing.
+async function applyPaymentOutcome(connection, { intentId, status }) {
+  const [paymentRows] = await connection.execute(
+    'SELECT * FROM payments WHERE provider_intent_id = ? FOR UPDATE',
+    [intentId]
+  );
+
+  if (!paymentRows || paymentRows.length === 0) {
+    return null;
+  }
+
+  const payment = paymentRows[0];
+
+  if (!['succeeded', 'failed'].includes(status) || payment.status !== 'pending') {
+    return { payment, changed: false };
+  }
+
+  await connection.execute(
+    'UPDATE payments SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE payment_id = ?',
+    [status, payment.payment_id]
+  );
+
+  if (status === 'failed') {
+    // Extras charged on this payment come off the booking, and a flight
+    // change it paid for is undone
+    await detachAncillaries(connection, { bookingId: payment.booking_id, paymentId: payment.payment_id });
+    if (payment.booking_change_id) {
+      await revertBookingChange(connection, payment.booking_change_id);
+    }
+  }
+
+  if (status === 'succeeded') {
+    // Only confirm once everything due is captured: extras added after the
+    // intent was opened leave the rest to be paid through /pay
+    const amountPaid = await getAmountPaid(connection, payment.booking_id);
+    const [bookingResult] = await connection.execute(
+      `UPDATE bookings
+       SET status = 'confirmed', payment_status = 'paid', payment_method = ?,
+           hold_expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE booking_id = ? AND status = 'pending'
+         AND (hold_expires_at IS NULL OR hold_expires_at > NOW())
+         AND ROUND(total_amount, 2) <= ?`,
+      [payment.payment_method, payment.booking_id, amountPaid]
+    );
+
+    // The seat hold lapsed before the payment completed, so release the
+    // booking and give the money back
+    if (bookingResult.affectedRows === 0) {
+      const [bookingRows] = await connection.execute(
+        'SELECT status, hold_expires_at FROM bookings WHERE booking_id = ?',
+        [payment.booking_id]
+      );
+      const booking = bookingRows[0];
+
+      if (booking && (booking.status === 'cancelled' || isHoldExpired(booking))) {
+        await connection.execute(
+          `UPDATE bookings SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+           WHERE booking_id = ? AND status = 'pending'`,
+          [payment.booking_id]
+        );
+        await releasePromoRedemptions(connection, payment.booking_id);
+        await releasePointsPayments(connection, payment.booking_id);
+        await connection.execute(
+          `UPDATE payments SET status = 'refunded', refunded_amount = amount, updated_at = CURRENT_TIMESTAMP
+           WHERE payment_id = ?`,
+          [payment.payment_id]
+        );
+        await recordRefund(connection, payment, parseFloat(payment.amount));
+        return { payment: { ...payment, status: 'refunded' }, changed: true };
+      }
+    }
+  }
+
+  return { payment: { ...payment, status }, changed: true };
+}
+
+// Refund part of a booking's captured payments, newest payment first.
+// Points go straight back; provider refunds are recorded to be sent by
+// processPendingRefunds after commit. Returns the refunds; empty if the
+// booking has no captured payments (e.g. it was paid before payments were
+// tracked).
+async function refundBookingPayment(connection, bookingId, amount) {
+  const [paymentRows] = await connection.execute(
+    `SELECT * FROM payments
+     WHERE booking_id = ? AND status IN ('succeeded', 'refunded') AND amount > refunded_amount
+     ORDER BY created_at DESC, payment_id DESC
+     FOR UPDATE`,
+    [bookingId]
+  );
+
+  const refunds = [];
+  let remaining = amount;
+
+  for (const payment of paymentRows) {
+    if (remaining <= 0) break;
+
+    const refundable = parseFloat(payment.amount) - parseFloat(payment.refunded_amount);
+    const refundAmount = Math.round(Math.min(remaining, refundable) * 100) / 100;
+
+    // Points go back to the loyalty account rather than through a provider
+    if (payment.provider === LOYALTY_PROVIDER) {
+      const points = await refundPointsPayment(connection, payment, refundAmount);
+      refunds.push({ id: payment.provider_intent_id, status: 'succeeded', points });
+      remaining -= refundAmount;
+      continue;
+    }
+
+    await connection.execute(
+      `UPDATE payments
+       SET status = 'refunded', refunded_amount = refunded_amount + ?, updated_at = CURRENT_TIMESTAMP
+       WHERE payment_id = ?`,
+      [refundAmount, payment.payment_id]
+    );
+    refunds.push(await recordRefund(connection, payment, refundAmount));
+
+    remaining -= refundAmount;
+  }
+
+  return refunds;
+}
+
+// Send recorded refunds to their provider, for one booking or (without a
+// booking ID) all of them. Each refund is claimed before it is sent so it
+// goes out once; failures are kept as 'failed' for follow-up. Returns the
+// number sent successfully.
+async function processPendingRefunds(bookingId = null) {
+  let sql = `SELECT pr.refund_id, pr.amount, p.provider, p.provider_intent_id
+     FROM payment_refunds pr
+     INNER JOIN payments p ON pr.payment_id = p.payment_id
+     WHERE pr.status = 'pending'`;
+  const params = [];
+
+  if (bookingId) {
+    sql += ' AND p.booking_id = ?';
+    params.push(bookingId);
+  }
+
+  const [rows] = await pool.execute(`${sql} ORDER BY pr.refund_id`, params);
+  let sent = 0;
+
+  for (const refund of rows) {
+    const [claim] = await pool.execute(
+      "UPDATE payment_refunds SET status = 'processing' WHERE refund_id = ? AND status = 'pending'",
+      [refund.refund_id]
+    );
+    if (claim.affectedRows === 0) continue;
+
+    try {
+      const result = await getPaymentProvider(refund.provider).refund(refund.provider_intent_id, parseFloat(refund.amount));
+      const succeeded = result.status === 'succeeded';
+      await pool.execute(
+        'UPDATE payment_refunds SET status = ?, provider_refund_id = ?, failure_reason = ? WHERE refund_id = ?',
+        [succeeded ? 'succeeded' : 'failed', result.id || null, succeeded ? null : 'Refund not completed', refund.refund_id]
+      );
+      if (succeeded) {
+        sent++;
+      }
+    } catch (error) {
+      console.error(`Refund ${refund.refund_id} failed:`, error.message);
+      await pool.execute(
+        "UPDATE payment_refunds SET status = 'failed', failure_reason = ? WHERE refund_id = ?",
+        [String(error.message).slice(0, 255), refund.refund_id]
+      );
+    }
+  }
+
+  return sent;
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  DEFAULT_CURRENCY,
+  getPaymentProvider,
+  validatePaymentConfig,
+  registerPaymentProvider,
+  createBookingPayment,
+  createPointsPayment,
+  getAmountPaid,
+  applyPaymentOutcome,
+  refundBookingPayment,
+  processPendingRefunds
+};
@@ -0,0 +1,183 @@
+const { roundPrice } = require('./pricing');
+const { DEFAULT_CURRENCY } = require('./payments');
+const { PASSENGER_TYPES, PASSENGER_TYPE_FARE_MULTIPLIERS } = require('./passengerTypes');
+
+// A price breakdown is a list of lines plus subtotals:
+// {
+//   currency: 'USD',
+//   lines: [{ type: 'fare' | 'tax' | 'fee' | 'discount', code, description,
+//             unit_amount, quantity, amount, per_passenger, passenger_type }],
+//   base_fare, taxes, fees, discounts, total
+// }
+// Discount lines carry negative amounts.
+// Per-passenger lines are charged once per traveller; the rest once per booking.
+// Lines with a passenger_type only apply to travellers of that type.
+
+const SERVICE_FEE_PER_PASSENGER = process.env.SERVICE_FEE_PER_PASSENGER !== undefined
+  ? parseFloat(process.env.SERVICE_FEE_PER_PASSENGER)
+  : 5;
+
+function priceLine(type, code, description, unitAmount, quantity, perPassenger = true) {
+  const unit = roundPrice(unitAmount);
+  return {
+    type,
+    code,
+    description,
+    unit_amount: unit,
+    quantity,
+    amount: roundPrice(unit * quantity),
+    per_passenger: perPassenger
+  };
+}
+
+function summarizeLines(lines) {
+  const sumOf = type => roundPrice(lines.filter(line => line.type === type).reduce((sum, line) => sum + line.amount, 0));
+
+  return {
+    base_fare: sumOf('fare'),
+    taxes: sumOf('tax'),
+    fees: sumOf('fee'),
+    discounts: sumOf('discount'),
+    total: roundPrice(lines.reduce((sum, line) => sum + line.amount, 0))
+  };
+}
+
+function withSubtotals(currency, lines) {
+  return { currency, lines, ...summarizeLines(lines) };
+}
+
+// Active taxes levied by the departure and arrival countries
+async function getTaxRates(connection, fromCountry, toCountry) {
+  const [rows] = await connection.execute(
+    `SELECT * FROM tax_rates
+     WHERE active = 1
+       AND ((applies_to = 'departure' AND country = ?) OR (applies_to = 'arrival' AND country = ?))
+     ORDER BY applies_to, code`,
+    [fromCountry, toCountry]
+  );
+  return rows;
+}
+
+function passengerLine(passengerType, type, code, description, unitAmount, quantity) {
+  return { ...priceLine(type, code, `${description} (${passengerType})`, unitAmount, quantity), passenger_type: passengerType };
+}
+
+// Itemize a passenger mix ({ adult, child, infant }) at the given per-seat
+// fare. Each type pays its share of the fare; percentage taxes follow the
+// fare paid.
+function buildPriceBreakdown({ fare, flightClass, passengers, taxRates = [], currency = DEFAULT_CURRENCY }) {
+  const fareLines = [];
+  const taxLines = [];
+  const feeLines = [];
+
+  for (const passengerType of PASSENGER_TYPES) {
+    const count = passengers[passengerType] || 0;
+    if (count === 0) {
+      continue;
+    }
+
+    const typeFare = roundPrice(fare.price * PASSENGER_TYPE_FARE_MULTIPLIERS[passengerType]);
+    fareLines.push(passengerLine(passengerType, 'fare', 'FARE', `${flightClass} fare`, typeFare, count));
+
+    for (const tax of taxRates) {
+      const unitAmount = tax.amount_type === 'percent'
+        ? typeFare * parseFloat(tax.amount) / 100
+        : parseFloat(tax.amount);
+      taxLines.push(passengerLine(passengerType, 'tax', tax.code, tax.name, unitAmount, count));
+    }
+
+    if (SERVICE_FEE_PER_PASSENGER > 0) {
+      feeLines.push(passengerLine(passengerType, 'fee', 'SVC', 'Service fee', SERVICE_FEE_PER_PASSENGER, count));
+    }
+  }
+
+  return withSubtotals(currency, [...fareLines, ...taxLines, ...feeLines]);
+}
+
+// Breakdown for a flight row that includes from_country and to_country
+async function getFlightPriceBreakdown(connection, flight, { fare, flightClass, passengers }) {
+  const taxRates = await getTaxRates(connection, flight.from_country, flight.to_country);
+  return buildPriceBreakdown({ fare, flightClass, passengers, taxRates });
+}
+
+// Add extra lines (e.g. a change fee) to an existing breakdown
+function appendLines(breakdown, extraLines) {
+  return withSubtotals(breakdown.currency, [...breakdown.lines, ...extraLines]);
+}
+
+// Take a promo code's discount off the base fare. Percentage discounts are
+// itemized against each passenger fare line; fixed discounts are a single
+// booking-level line, never more than the base fare.
+function applyDiscount(breakdown, promo) {
+  const value = parseFloat(promo.discount_value);
+  const description = `Promo code ${promo.code}`;
+  const discountLines = [];
+
+  if (promo.discount_type === 'percent') {
+    for (const line of breakdown.lines.filter(line => line.type === 'fare' && line.per_passenger)) {
+      discountLines.push({
+        ...priceLine('discount', promo.code, description, -line.unit_amount * value / 100, line.quantity),
+        passenger_type: line.passenger_type
+      });
+    }
+  } else {
+    const baseFare = summarizeLines(breakdown.lines).base_fare;
+    discountLines.push(priceLine('discount', promo.code, description, -Math.min(value, baseFare), 1, false));
+  }
+
+  return appendLines(breakdown, discountLines);
+}
+
+// Drop one traveller of a passenger type from a breakdown. Returns the new
+// breakdown and that traveller's share (the sum of the per-passenger unit
+// amounts that applied to them).
+function removePassengerFromBreakdown(breakdown, passengerType) {
+  let passengerShare = 0;
+
+  const lines = breakdown.lines.map(line => {
+    if (!line.per_passenger || line.quantity < 1) {
+      return line;
+    }
+    if (line.passenger_type && line.passenger_type !== passengerType) {
+      return line;
+    }
+    passengerShare += line.unit_amount;
+    return { ...line, quantity: line.quantity - 1, amount: roundPrice(line.unit_amount * (line.quantity - 1)) };
+  });
+
+  // A booking-level discount can't exceed the fare that's left; whatever is
+  // clawed back comes out of the departing traveller's share
+  const remainingFare = summarizeLines(lines).base_fare;
+  const cappedLines = lines.map(line => {
+    if (line.type !== 'discount' || line.per_passenger || -line.amount <= remainingFare) {
+      return line;
+    }
+    const capped = -Math.max(0, remainingFare);
+    passengerShare -= capped - line.amount;
+    return { ...line, unit_amount: capped, amount: capped };
+  });
+
+  return {
+    breakdown: withSubtotals(breakdown.currency, cappedLines),
+    passengerShare: roundPrice(passengerShare)
+  };
+}
+
+// Stored breakdown on a booking row (JSON column), or null for older bookings
+function getBookingBreakdown(booking) {
+  const breakdown = booking.price_breakdown;
+  return typeof breakdown === 'string' ? JSON.parse(breakdown) : breakdown || null;
+}
+
+module.exports = {
+  SERVICE_FEE_PER_PASSENGER,
+  priceLine,
+  summarizeLines,
+  getTaxRates,
+  buildPriceBreakdown,
+  getFlightPriceBreakdown,
+  appendLines,
+  applyDiscount,
+  removePassengerFromBreakdown,
+  getBookingBreakdown
+};
@@ -0,0 +1,87 @@
+// The flight's stored prices are the base fare for each class; the price
+// actually sold steps up through fare buckets as the class fills and as
+// departure approaches. Everything that shows or charges a fare should go
+// through calculateFare so quoted and charged prices agree.
+
+const BASE_PRICE_COLUMNS = {
+  economy: 'base_price',
+  business: 'business_price',
+  first: 'first_class_price'
+};
+
+// Default business/first base fares relative to economy
+const CLASS_PRICE_MULTIPLIERS = {
+  business: 1.5,
+  first: 2
+};
+
+// Share of the class already sold -> price multiplier
+const LOAD_FACTOR_BUCKETS = [
+  { max_load_factor: 0.5, multiplier: 1.0 },
+  { max_load_factor: 0.75, multiplier: 1.15 },
+  { max_load_factor: 0.9, multiplier: 1.3 },
+  { max_load_factor: 1.0, multiplier: 1.5 }
+];
+
+// Days until departure -> price multiplier
+const DAYS_TO_DEPARTURE_BUCKETS = [
+  { min_days: 21, multiplier: 1.0 },
+  { min_days: 14, multiplier: 1.1 },
+  { min_days: 7, multiplier: 1.2 },
+  { min_days: 3, multiplier: 1.35 },
+  { min_days: 0, multiplier: 1.5 }
+];
+
+function roundPrice(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function getBaseFare(flight, flightClass) {
+  return parseFloat(flight[BASE_PRICE_COLUMNS[flightClass] || BASE_PRICE_COLUMNS.economy]) || 0;
+}
+
+// Price one seat in a class given how full it is. `booked` and `capacity`
+// are the class's counts before this sale.
+function calculateFare(flight, flightClass, { booked, capacity, now = new Date() }) {
+  const baseFare = getBaseFare(flight, flightClass);
+  const loadFactor = capacity > 0 ? Math.min(1, booked / capacity) : 1;
+  const daysToDeparture = Math.max(0, (new Date(flight.departure_datetime) - now) / (1000 * 60 * 60 * 24));
+
+  const loadBucket = LOAD_FACTOR_BUCKETS.find(bucket => loadFactor <= bucket.max_load_factor) ||
+    LOAD_FACTOR_BUCKETS[LOAD_FACTOR_BUCKETS.length - 1];
+  const timeBucket = DAYS_TO_DEPARTURE_BUCKETS.find(bucket => daysToDeparture >= bucket.min_days) ||
+    DAYS_TO_DEPARTURE_BUCKETS[DAYS_TO_DEPARTURE_BUCKETS.length - 1];
+
+  return {
+    base_fare: baseFare,
+    load_factor: Math.round(loadFactor * 100) / 100,
+    load_multiplier: loadBucket.multiplier,
+    days_to_departure: Math.floor(daysToDeparture),
+    time_multiplier: timeBucket.multiplier,
+    price: roundPrice(baseFare * loadBucket.multiplier * timeBucket.multiplier)
+  };
+}
+
+// Fares for every class from an already loaded seat inventory
+function priceFromInventory(flight, inventory, now = new Date()) {
+  const fares = {};
+  for (const flightClass of Object.keys(BASE_PRICE_COLUMNS)) {
+    fares[flightClass] = calculateFare(flight, flightClass, {
+      booked: inventory.booked[flightClass],
+      capacity: inventory.capacity[flightClass],
+      now
+    });
+  }
+  return fares;
+}
+
+module.exports = {
+  BASE_PRICE_COLUMNS,
+  CLASS_PRICE_MULTIPLIERS,
+  LOAD_FACTOR_BUCKETS,
+  DAYS_TO_DEPARTURE_BUCKETS,
+  roundPrice,
+  getBaseFare,
+  calculateFare,
+  priceFromInventory
+};
@@ -0,0 +1,122 @@
+// Promo codes (`promo_codes`) discount the base fare of a booking. A code
+// can be limited to a validity window, a route, a class, a number of uses
+// overall (used_count vs max_uses) and per user. Each booking that uses a
+// code gets a row in `promo_redemptions`.
+
+const PROMO_DISCOUNT_TYPES = ['percent', 'fixed'];
+
+function normalizePromoCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : code;
+}
+
+// Returns an error message when a code can't be used on this flight and
+// class right now, or null. `userUses` is the user's active redemptions.
+function checkPromoCode(promo, { flight, flightClass, userUses, now = new Date() }) {
+  if (!promo.active) {
+    return 'This promo code is no longer active';
+  }
+  if (promo.valid_from && new Date(promo.valid_from) > now) {
+    return 'This promo code is not valid yet';
+  }
+  if (promo.valid_until && new Date(promo.valid_until) < now) {
+    return 'This promo code has expired';
+  }
+  if (promo.from_airport_code &&
+      (promo.from_airport_code !== flight.from_airport_code || promo.to_airport_code !== flight.to_airport_code)) {
+    return `This promo code is only valid on ${promo.from_airport_code}-${promo.to_airport_code} flights`;
+  }
+  if (promo.class && promo.class !== flightClass) {
+    return `This promo code is only valid in ${promo.class} class`;
+  }
+  if (promo.max_uses !== null && promo.used_count >= promo.max_uses) {
+    return 'This promo code has reached its usage limit';
+  }
+  if (promo.max_uses_per_user !== null && userUses >= promo.max_uses_per_user) {
+    return 'You have already used this promo code the maximum number of times';
+  }
+  return null;
+}
+
+// Look up and lock a code for a booking in progress. Must run inside the
+// booking transaction so the usage count can't be overtaken.
+// Returns { promo } or { error }.
+async function findApplicablePromoCode(connection, { code, userId, flight, flightClass }) {
+  const [promoRows] = await connection.execute(
+    'SELECT * FROM promo_codes WHERE code = ? FOR UPDATE',
+    [normalizePromoCode(code)]
+  );
+
+  const promo = promoRows[0];
+  if (!promo) {
+    return { error: 'Invalid promo code' };
+  }
+
+  const [useRows] = await connection.execute(
+    `SELECT COUNT(*) as uses FROM promo_redemptions
+     WHERE promo_code_id = ? AND user_id = ? AND status = 'active'`,
+    [promo.promo_code_id, userId]
+  );
+
+  const error = checkPromoCode(promo, { flight, flightClass, userUses: useRows[0].uses });
+  return error ? { error } : { promo };
+}
+
+// Count a use of the code and record it against the booking. The guarded
+// increment keeps used_count within max_uses even without the row lock.
+// Returns false if the code ran out.
+async function redeemPromoCode(connection, { promo, bookingId, userId, discountAmount, currency }) {
+  const [result] = await connection.execute(
+    `UPDATE promo_codes
+     SET used_count = used_count + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE promo_code_id = ? AND (max_uses IS NULL OR used_count < max_uses)`,
+    [promo.promo_code_id]
+  );
+
+  if (result.affectedRows === 0) {
+    return false;
+  }
+
+  await connection.execute(
+    `INSERT INTO promo_redemptions (promo_code_id, booking_id, user_id, discount_amount, currency)
+     VALUES (?, ?, ?, ?, ?)`,
+    [promo.promo_code_id, bookingId, userId, discountAmount, currency]
+  );
+
+  return true;
+}
+
+// Give back the uses of bookings that were cancelled before being paid
+// (e.g. lapsed seat holds), either for one booking or all of them.
+// Returns the number of redemptions reversed.
+async function releasePromoRedemptions(connection, bookingId = null) {
+  const [rows] = await connection.execute(
+    `SELECT pr.redemption_id, pr.promo_code_id
+     FROM promo_redemptions pr
+     INNER JOIN bookings b ON pr.booking_id = b.booking_id
+     WHERE pr.status = 'active' AND b.status = 'cancelled' AND b.payment_status = 'pending'
+       ${bookingId !== null ? 'AND pr.booking_id = ?' : ''}`,
+    bookingId !== null ? [bookingId] : []
+  );
+
+  for (const row of rows) {
+    await connection.execute(
+      "UPDATE promo_redemptions SET status = 'reversed' WHERE redemption_id = ?",
+      [row.redemption_id]
+    );
+    await connection.execute(
+      'UPDATE promo_codes SET used_count = GREATEST(used_count - 1, 0) WHERE promo_code_id = ?',
+      [row.promo_code_id]
+    );
+  }
+
+  return rows.length;
+}
+
+module.exports = {
+  PROMO_DISCOUNT_TYPES,
+  normalizePromoCode,
+  checkPromoCode,
+  findApplicablePromoCode,
+  redeemPromoCode,
+  releasePromoRedemptions
+};
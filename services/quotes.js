@@ -0,0 +1,76 @@
+const jwt = require('jsonwebtoken');
+const { isSamePassengerMix } = require('./passengerTypes');
+
+// Quotes are signed tokens so the price a customer saw can be honored at
+// booking time without storing anything server-side. They are signed with
+// their own secret, never the login token one; the built-in secret is for
+// development only.
+const QUOTE_SECRET = process.env.QUOTE_SECRET ||
+  (process.env.NODE_ENV === 'production' ? null : 'skywings-quote-secret-change-in-production');
+const QUOTE_TTL_MINUTES = parseInt(process.env.QUOTE_TTL_MINUTES) || 15;
+
+function requireQuoteSecret() {
+  if (!QUOTE_SECRET) {
+    throw new Error('QUOTE_SECRET is not configured');
+  }
+  return QUOTE_SECRET;
+}
+
+// Build the signed quote for a user, flight, class and passenger mix
+// ({ adult, child, infant }) from its itemized price breakdown. The user ID
+// is kept in the token only, so only that user can book at the price.
+function createQuote({ userId, flightId, flightClass, passengers, breakdown }) {
+  const quote = {
+    flight_id: flightId,
+    class: flightClass,
+    passengers,
+    ...breakdown
+  };
+
+  const token = jwt.sign(
+    { type: 'fare_quote', user_id: userId, quote },
+    requireQuoteSecret(),
+    { expiresIn: `${QUOTE_TTL_MINUTES}m` }
+  );
+  const { exp } = jwt.decode(token);
+
+  return {
+    ...quote,
+    quote_token: token,
+    expires_at: new Date(exp * 1000)
+  };
+}
+
+// Verify a quote token and check it covers this user's booking.
+// Returns { quote } or { error } with a message for the customer.
+function verifyQuote(token, { userId, flightId, flightClass, passengers }) {
+  let payload;
+
+  try {
+    payload = jwt.verify(token, requireQuoteSecret());
+  } catch (error) {
+    return {
+      error: error.name === 'TokenExpiredError'
+        ? 'Price quote has expired. Please request a new quote.'
+        : 'Invalid price quote'
+    };
+  }
+
+  const quote = payload.type === 'fare_quote' ? payload.quote : null;
+
+  if (!quote || payload.user_id !== userId) {
+    return { error: 'Invalid price quote' };
+  }
+
+  if (quote.flight_id !== parseInt(flightId) || quote.class !== flightClass || !isSamePassengerMix(quote.passengers, passengers)) {
+    return { error: 'Price quote does not match this flight, class and passengers' };
+  }
+
+  return { quote };
+}
+
+module.exports = {
+  QUOTE_TTL_MINUTES,
+  createQuote,
+  verifyQuote
+};
@@ -0,0 +1,290 @@
+const { ACTIVE_BOOKING_SQL } = require('./holds');
+
+// Seat map layout stored on aircraft.seat_map:
+// {
+//   cabins: [{ class: 'business', first_row: 1, last_row: 4, letters: 'ACDF' }, ...],
+//   exit_rows: [12, 13],
+//   blocked_seats: ['13C']
+// }
+
+const CABIN_CLASSES = ['economy', 'business', 'first'];
+
+// Seat letters of each cabin in the default layout, front cabin first
+const DEFAULT_CABIN_LETTERS = {
+  first: 'ACDF',
+  business: 'ACDF',
+  economy: 'ABCDEF'
+};
+
+function normalizeSeatNumber(seatNumber) {
+  return String(seatNumber).trim().toUpperCase();
+}
+
+// Layout used for aircraft that have no seat map configured, built from
+// the seat count of each class ({ economy, business, first }): first class
+// rows, then business, then economy. Seats beyond a cabin's count in its
+// last row are blocked.
+function defaultSeatMap(classSeats) {
+  const cabins = [];
+  const blockedSeats = [];
+  let firstRow = 1;
+
+  for (const cabinClass of Object.keys(DEFAULT_CABIN_LETTERS)) {
+    const seats = classSeats[cabinClass] || 0;
+    // An aircraft with no seats still gets one (blocked) economy row
+    if (seats <= 0 && !(cabinClass === 'economy' && cabins.length === 0)) {
+      continue;
+    }
+
+    const letters = DEFAULT_CABIN_LETTERS[cabinClass];
+    const lastRow = firstRow + Math.max(1, Math.ceil(seats / letters.length)) - 1;
+
+    for (let i = seats; i < (lastRow - firstRow + 1) * letters.length; i++) {
+      blockedSeats.push(`${lastRow}${letters[i % letters.length]}`);
+    }
+
+    cabins.push({ class: cabinClass, first_row: firstRow, last_row: lastRow, letters });
+    firstRow = lastRow + 1;
+  }
+
+  return {
+    cabins,
+    exit_rows: [],
+    blocked_seats: blockedSeats
+  };
+}
+
+// Returns an error message for an invalid layout, or null if it is valid
+function validateSeatMap(seatMap) {
+  if (!seatMap || typeof seatMap !== 'object' || !Array.isArray(seatMap.cabins) || seatMap.cabins.length === 0) {
+    return 'Seat map must contain at least one cabin';
+  }
+
+  const usedRows = new Set();
+
+  for (const cabin of seatMap.cabins) {
+    if (!CABIN_CLASSES.includes(cabin.class)) {
+      return `Invalid cabin class: ${cabin.class}`;
+    }
+
+    if (!Number.isInteger(cabin.first_row) || !Number.isInteger(cabin.last_row) ||
+        cabin.first_row < 1 || cabin.last_row < cabin.first_row) {
+      return `Invalid row range for ${cabin.class} cabin`;
+    }
+
+    if (typeof cabin.letters !== 'string' || !/^[A-Z]+$/.test(cabin.letters) ||
+        new Set(cabin.letters).size !== cabin.letters.length) {
+      return `Seat letters for ${cabin.class} cabin must be unique uppercase letters`;
+    }
+
+    for (let row = cabin.first_row; row <= cabin.last_row; row++) {
+      if (usedRows.has(row)) {
+        return `Row ${row} is assigned to more than one cabin`;
+      }
+      usedRows.add(row);
+    }
+  }
+
+  if (seatMap.exit_rows !== undefined &&
+      (!Array.isArray(seatMap.exit_rows) || !seatMap.exit_rows.every(row => usedRows.has(row)))) {
+    return 'Exit rows must be rows that exist in the seat map';
+  }
+
+  if (seatMap.blocked_seats !== undefined &&
+      (!Array.isArray(seatMap.blocked_seats) || !seatMap.blocked_seats.every(seat => typeof seat === 'string'))) {
+    return 'Blocked seats must be an array of seat numbers';
+  }
+
+  return null;
+}
+
+// Seat map configured on the aircraft, or the default layout for its class
+// seat counts (requires the *_seats columns). Aircraft whose counts don't
+// add up to the capacity are laid out as all economy.
+function getAircraftSeatMap(aircraft) {
+  let seatMap = aircraft.seat_map;
+
+  if (typeof seatMap === 'string') {
+    seatMap = JSON.parse(seatMap);
+  }
+
+  if (seatMap) {
+    return seatMap;
+  }
+
+  // Loaded here: availability requires this module
+  const classSeats = require('./availability').getClassCapacity(aircraft);
+  const capacity = parseInt(aircraft.capacity) || 0;
+  if (classSeats.economy + classSeats.business + classSeats.first !== capacity) {
+    return defaultSeatMap({ economy: capacity });
+  }
+
+  return defaultSeatMap(classSeats);
+}
+
+// Expand a layout into one entry per seat
+function buildSeatList(seatMap) {
+  const exitRows = new Set(seatMap.exit_rows || []);
+  const blockedSeats = new Set((seatMap.blocked_seats || []).map(normalizeSeatNumber));
+  const seats = [];
+
+  for (const cabin of seatMap.cabins) {
+    for (let row = cabin.first_row; row <= cabin.last_row; row++) {
+      for (const letter of cabin.letters) {
+        const seatNumber = `${row}${letter}`;
+        seats.push({
+          seat_number: seatNumber,
+          row,
+          letter,
+          cabin_class: cabin.class,
+          is_exit_row: exitRows.has(row),
+          is_blocked: blockedSeats.has(seatNumber)
+        });
+      }
+    }
+  }
+
+  return seats;
+}
+
+// Lock the flight row so concurrent seat assignments on it are serialized
+async function lockFlightSeats(connection, flightId) {
+  await connection.execute('SELECT flight_id FROM flights WHERE flight_id = ? FOR UPDATE', [flightId]);
+}
+
+// Seat numbers held by bookings on a flight that still hold their seats
+async function getOccupiedSeats(connection, flightId, excludeBookingId = null) {
+  let sql = `SELECT bp.seat_number
+     FROM booking_passengers bp
+     INNER JOIN bookings b ON bp.booking_id = b.booking_id
+     WHERE b.flight_id = ? AND ${ACTIVE_BOOKING_SQL} AND bp.seat_number IS NOT NULL`;
+  const params = [flightId];
+
+  if (excludeBookingId) {
+    sql += ' AND b.booking_id != ?';
+    params.push(excludeBookingId);
+  }
+
+  const [rows] = await connection.execute(sql, params);
+  return new Set(rows.map(row => normalizeSeatNumber(row.seat_number)));
+}
+
+// Check requested seats against the seat map and current occupancy.
+// Returns an error message, or null if every seat can be assigned.
+async function validateSeatSelection(connection, { flightId, seatMap, seatNumbers, cabinClass, excludeBookingId = null }) {
+  const seatsByNumber = {};
+  for (const seat of buildSeatList(seatMap)) {
+    seatsByNumber[seat.seat_number] = seat;
+  }
+
+  const occupied = await getOccupiedSeats(connection, flightId, excludeBookingId);
+  const requested = new Set();
+
+  for (const rawSeat of seatNumbers) {
+    const seatNumber = normalizeSeatNumber(rawSeat);
+    const seat = seatsByNumber[seatNumber];
+
+    if (!seat) {
+      return `Seat ${seatNumber} does not exist on this aircraft`;
+    }
+    if (seat.is_blocked) {
+      return `Seat ${seatNumber} is not available for selection`;
+    }
+    if (cabinClass && seat.cabin_class !== cabinClass) {
+      return `Seat ${seatNumber} is in the ${seat.cabin_class} cabin, not ${cabinClass}`;
+    }
+    if (requested.has(seatNumber)) {
+      return `Seat ${seatNumber} was selected more than once`;
+    }
+    if (occupied.has(seatNumber)) {
+      return `Seat ${seatNumber} is already taken`;
+    }
+
+    requested.add(seatNumber);
+  }
+
+  return null;
+}
+
+// Pick free seats in the booked cabin for passengers without one, in the
+// fewest consecutive rows (nearest the rows in `nearRows`, e.g. seats the
+// party already holds). `restricted` flags passengers who can't sit in an
+// exit row. Returns { seats } in passenger order, or { error }.
+function assignSeats({ seatMap, cabinClass, occupiedSeats, restricted, nearRows = [] }) {
+  const needed = restricted.length;
+  const needNonExit = restricted.filter(Boolean).length;
+
+  const rows = [];
+  for (const seat of buildSeatList(seatMap)) {
+    if (seat.cabin_class !== cabinClass || seat.is_blocked || occupiedSeats.has(seat.seat_number)) {
+      continue;
+    }
+    if (rows.length === 0 || rows[rows.length - 1].row !== seat.row) {
+      rows.push({ row: seat.row, seats: [] });
+    }
+    rows[rows.length - 1].seats.push(seat);
+  }
+
+  const distanceToParty = row => (nearRows.length > 0 ? Math.min(...nearRows.map(near => Math.abs(near - row))) : 0);
+  let best = null;
+
+  for (let start = 0; start < rows.length; start++) {
+    let free = 0;
+    let freeNonExit = 0;
+
+    for (let end = start; end < rows.length; end++) {
+      free += rows[end].seats.length;
+      freeNonExit += rows[end].seats.filter(seat => !seat.is_exit_row).length;
+
+      if (free >= needed && freeNonExit >= needNonExit) {
+        const span = rows[end].row - rows[start].row;
+        const distance = distanceToParty(rows[start].row);
+        if (!best || span < best.span || (span === best.span && distance < best.distance)) {
+          best = { start, end, span, distance };
+        }
+        break;
+      }
+    }
+  }
+
+  if (!best) {
+    const freeSeats = rows.reduce((sum, row) => sum + row.seats.length, 0);
+    return {
+      error: freeSeats >= needed
+        ? `Not enough seats outside exit rows left in ${cabinClass} to seat this party`
+        : `Not enough seats left in ${cabinClass} to seat this party`
+    };
+  }
+
+  // Take seats front to back, leaving exit-row seats for passengers who may
+  // sit there
+  const chosen = [];
+  let exitSeatsAllowed = needed - needNonExit;
+  for (const seat of rows.slice(best.start, best.end + 1).flatMap(row => row.seats)) {
+    if (chosen.length === needed) break;
+    if (seat.is_exit_row) {
+      if (exitSeatsAllowed === 0) continue;
+      exitSeatsAllowed--;
+    }
+    chosen.push(seat);
+  }
+
+  const nonExit = chosen.filter(seat => !seat.is_exit_row);
+  const others = chosen.filter(seat => seat.is_exit_row);
+  const seats = restricted.map(isRestricted => (isRestricted ? nonExit.shift() : (others.shift() || nonExit.shift())));
+
+  return { seats: seats.map(seat => seat.seat_number) };
+}
+
+module.exports = {
+  CABIN_CLASSES,
+  normalizeSeatNumber,
+  defaultSeatMap,
+  validateSeatMap,
+  getAircraftSeatMap,
+  buildSeatList,
+  lockFlightSeats,
+  getOccupiedSeats,
+  validateSeatSelection,
+  assignSeats
+};
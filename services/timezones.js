@@ -0,0 +1,124 @@
+// Flight times are stored in UTC (the database session runs in UTC, see
+// config/database.js) and shown in the timezone of the airport they happen
+// at (airports.timezone, an IANA name). Airports without a timezone fall
+// back to DEFAULT_AIRPORT_TIMEZONE.
+
+const DEFAULT_AIRPORT_TIMEZONE = process.env.DEFAULT_AIRPORT_TIMEZONE || 'UTC';
+
+// Explicit UTC designator or offset at the end of an ISO 8601 date-time
+const OFFSET_SUFFIX_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+const LOCAL_DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?$/;
+
+// Minutes the zone is ahead of UTC at an instant (negative west of UTC)
+function getTimezoneOffsetMinutes(timeZone, date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const get = type => parseInt(parts.find(part => part.type === type).value);
+
+  const wallClockAsUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return Math.round((wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+// ISO 8601 local time with its offset, e.g. 2026-05-01T10:00:00+01:00
+function toLocalIso(date, timeZone = DEFAULT_AIRPORT_TIMEZONE) {
+  if (date === null || date === undefined) {
+    return null;
+  }
+
+  const instant = new Date(date);
+  const offset = getTimezoneOffsetMinutes(timeZone, instant);
+  const wallClock = new Date(instant.getTime() + offset * 60000).toISOString().slice(0, 19);
+  return wallClock + formatOffset(offset);
+}
+
+// The UTC instant of a wall-clock time in a zone. Around DST changes the
+// offset is re-read at the first guess so the result lands in the zone's
+// actual offset for that time.
+function localTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone) {
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  const firstOffset = getTimezoneOffsetMinutes(timeZone, new Date(wallClockAsUtc));
+  const guess = wallClockAsUtc - firstOffset * 60000;
+  const offset = getTimezoneOffsetMinutes(timeZone, new Date(guess));
+  return new Date(wallClockAsUtc - offset * 60000);
+}
+
+// Parse a flight time from input. Values with Z or an offset are absolute;
+// plain date-times are local wall-clock time in `timeZone`. Returns a Date
+// or null if the value can't be read.
+function parseFlightTime(value, timeZone = DEFAULT_AIRPORT_TIMEZONE) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  if (OFFSET_SUFFIX_PATTERN.test(trimmed)) {
+    const date = new Date(trimmed);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const match = trimmed.match(LOCAL_DATETIME_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second] = match.map(part => (part === undefined ? undefined : parseInt(part)));
+  // Fractional seconds are kept to the millisecond
+  const millisecond = match[7] === undefined ? 0 : parseInt(match[7].padEnd(3, '0').slice(0, 3));
+  return localTimeToUtc({ year, month, day, hour, minute, second, millisecond }, timeZone);
+}
+
+// UTC start (inclusive) and end (exclusive) of a local calendar date
+function localDayRange(dateString, timeZone = DEFAULT_AIRPORT_TIMEZONE) {
+  const start = parseFlightTime(String(dateString).slice(0, 10), timeZone);
+  if (!start) {
+    return null;
+  }
+
+  const [year, month, day] = String(dateString).slice(0, 10).split('-').map(Number);
+  const next = new Date(Date.UTC(year, month - 1, day + 1));
+  const end = localTimeToUtc({ year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() }, timeZone);
+
+  return { start, end };
+}
+
+// Add local departure and arrival times to a row that carries
+// departure_datetime/arrival_datetime and the airports' from_timezone/
+// to_timezone. The stored fields stay as the UTC times.
+function attachLocalTimes(row) {
+  const fromTimezone = row.from_timezone || DEFAULT_AIRPORT_TIMEZONE;
+  const toTimezone = row.to_timezone || DEFAULT_AIRPORT_TIMEZONE;
+
+  row.from_timezone = fromTimezone;
+  row.to_timezone = toTimezone;
+  row.departure_local = toLocalIso(row.departure_datetime, fromTimezone);
+  row.arrival_local = toLocalIso(row.arrival_datetime, toTimezone);
+  return row;
+}
+
+module.exports = {
+  DEFAULT_AIRPORT_TIMEZONE,
+  getTimezoneOffsetMinutes,
+  formatOffset,
+  toLocalIso,
+  localTimeToUtc,
+  parseFlightTime,
+  localDayRange,
+  attachLocalTimes
+};
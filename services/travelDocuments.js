@@ -0,0 +1,161 @@
+// Travel documents (APIS). Flights between airports in different countries
+// need a passport on file for every passenger before they can check in:
+// number, issuing country, expiry date and date of birth. The passport must
+// still be valid on the local arrival date.
+
+const { getPassengerType, validateDateOfBirth } = require('./passengerTypes');
+const { toLocalIso } = require('./timezones');
+
+// ICAO / ISO 3166-1 alpha-3, as printed on passports
+const ISSUING_COUNTRY_PATTERN = /^[A-Z]{3}$/;
+
+function requiresTravelDocuments(flight) {
+  const normalize = country => String(country || '').trim().toLowerCase();
+  return normalize(flight.from_country) !== normalize(flight.to_country);
+}
+
+// YYYY-MM-DD of a DATE column (read as UTC midnight) or date string
+function toDateString(value) {
+  if (!value) {
+    return null;
+  }
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+// Problems with a passenger's documents for a flight, as messages (empty
+// when they can check in). The passenger row carries passenger_type and the
+// passport columns; the flight row departure/arrival times, from_timezone
+// and to_timezone.
+function checkTravelDocument(passenger, flight) {
+  const problems = [];
+
+  if (!passenger.passport_number) problems.push('passport number is missing');
+  if (!passenger.passport_issuing_country) problems.push('passport issuing country is missing');
+  if (!passenger.passport_expiry_date) problems.push('passport expiry date is missing');
+  if (!passenger.date_of_birth) problems.push('date of birth is missing');
+
+  const arrivalDate = toLocalIso(flight.arrival_datetime, flight.to_timezone || undefined).slice(0, 10);
+  if (passenger.passport_expiry_date && toDateString(passenger.passport_expiry_date) < arrivalDate) {
+    problems.push(`passport expires before arrival on ${arrivalDate}`);
+  }
+
+  if (passenger.date_of_birth) {
+    const departureTimezone = flight.from_timezone || undefined;
+    const dateOfBirthError = validateDateOfBirth(passenger.date_of_birth, flight.departure_datetime, departureTimezone);
+    if (dateOfBirthError) {
+      problems.push(dateOfBirthError.charAt(0).toLowerCase() + dateOfBirthError.slice(1));
+    } else if (passenger.passenger_type &&
+               getPassengerType(passenger.date_of_birth, flight.departure_datetime, departureTimezone) !==
+                 passenger.passenger_type) {
+      problems.push(`date of birth does not match the ${passenger.passenger_type} fare booked`);
+    }
+  }
+
+  return problems;
+}
+
+// Passengers checked in on a flight with their documents, for the APIS
+// manifest, in check-in sequence order
+async function getApisManifest(connection, flightId) {
+  const [flightRows] = await connection.execute(
+    `SELECT f.flight_id, f.flight_number, f.departure_datetime, f.arrival_datetime,
+            dep.airport_code as from_code, dep.country as from_country, dep.timezone as from_timezone,
+            arr.airport_code as to_code, arr.country as to_country, arr.timezone as to_timezone
+     FROM flights f
+     INNER JOIN airports dep ON f.from_airport_code = dep.airport_code
+     INNER JOIN airports arr ON f.to_airport_code = arr.airport_code
+     WHERE f.flight_id = ?`,
+    [flightId]
+  );
+  const flight = flightRows[0];
+
+  if (!flight) {
+    return null;
+  }
+
+  const [rows] = await connection.execute(
+    `SELECT
+      b.booking_reference,
+      bp.passenger_type,
+      bp.seat_number,
+      pass.sequence_number,
+      p.last_name,
+      p.first_name,
+      p.date_of_birth,
+      p.nationality,
+      p.passport_number,
+      p.passport_issuing_country,
+      p.passport_expiry_date
+     FROM booking_passengers bp
+     INNER JOIN bookings b ON bp.booking_id = b.booking_id
+     INNER JOIN passengers p ON bp.passenger_id = p.passenger_id
+     LEFT JOIN boarding_passes pass ON pass.booking_passenger_id = bp.booking_passenger_id
+     WHERE b.flight_id = ? AND b.status = 'confirmed' AND bp.check_in_status = 'checked_in'
+     ORDER BY pass.sequence_number, p.last_name, p.first_name`,
+    [flightId]
+  );
+
+  const passengers = rows.map(row => ({
+    sequence_number: row.sequence_number,
+    surname: row.last_name.toUpperCase(),
+    given_names: row.first_name.toUpperCase(),
+    date_of_birth: toDateString(row.date_of_birth),
+    nationality: row.nationality,
+    document_type: 'P',
+    document_number: row.passport_number,
+    issuing_country: row.passport_issuing_country,
+    expiry_date: toDateString(row.passport_expiry_date),
+    passenger_type: row.passenger_type,
+    seat_number: row.seat_number,
+    booking_reference: row.booking_reference,
+    problems: checkTravelDocument(row, flight)
+  }));
+
+  return {
+    flight: {
+      flight_id: flight.flight_id,
+      flight_number: flight.flight_number,
+      from_code: flight.from_code,
+      from_country: flight.from_country,
+      to_code: flight.to_code,
+      to_country: flight.to_country,
+      departure_datetime: flight.departure_datetime,
+      departure_local: toLocalIso(flight.departure_datetime, flight.from_timezone || undefined),
+      arrival_datetime: flight.arrival_datetime,
+      arrival_local: toLocalIso(flight.arrival_datetime, flight.to_timezone || undefined),
+      documents_required: requiresTravelDocuments(flight)
+    },
+    passengers
+  };
+}
+
+const MANIFEST_CSV_COLUMNS = [
+  'sequence_number', 'surname', 'given_names', 'date_of_birth', 'nationality', 'document_type',
+  'document_number', 'issuing_country', 'expiry_date', 'passenger_type', 'seat_number', 'booking_reference'
+];
+
+// Values a spreadsheet would read as a formula are prefixed with a quote
+// so they open as plain text
+function csvValue(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function manifestToCsv(manifest) {
+  const lines = [MANIFEST_CSV_COLUMNS.join(',')];
+  for (const passenger of manifest.passengers) {
+    lines.push(MANIFEST_CSV_COLUMNS.map(column => csvValue(passenger[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  ISSUING_COUNTRY_PATTERN,
+  requiresTravelDocuments,
+  checkTravelDocument,
+  getApisManifest,
+  manifestToCsv
+};